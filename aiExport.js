@@ -0,0 +1,199 @@
+// Google Search Cleaner - AI Overview Export
+// Shared by the content script (AI text panel) and the history page.
+// A capture is { query, url, capturedAt, sections, citations } as produced by captureAIOverview
+
+// Escape characters that would otherwise be read as Markdown syntax
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+// Encode parentheses so a URL can't end a Markdown link early
+function markdownUrl(url) {
+  return url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+// Render a block's text as Markdown, keeping bold and links
+function blockToMarkdown(block) {
+  if (!block.runs) {
+    return escapeMarkdown(block.text);
+  }
+
+  return block.runs.map(run => {
+    let text = escapeMarkdown(run.text);
+    if (run.bold) {
+      // Keep surrounding spaces outside the markers or Markdown won't render them
+      text = text.replace(/^(\s*)(.*?)(\s*)$/, '$1**$2**$3');
+    }
+    if (run.href) {
+      text = `[${text}](${markdownUrl(run.href)})`;
+    }
+    return text;
+  }).join('');
+}
+
+// Format a capture timestamp as "2026-01-31 14:05"
+function formatCaptureDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Export as Markdown with headings, lists, bold text and links
+function overviewToMarkdown(capture) {
+  const lines = [`# AI Overview: ${escapeMarkdown(capture.query || 'untitled search')}`, ''];
+  lines.push(`_Captured ${formatCaptureDate(capture.capturedAt)} from <${capture.url}>_`, '');
+
+  capture.sections.forEach(section => {
+    if (section.heading) {
+      lines.push(`## ${escapeMarkdown(section.heading)}`, '');
+    }
+    section.blocks.forEach((block, i) => {
+      if (block.type === 'bullet') {
+        lines.push(`- ${blockToMarkdown(block)}`);
+        // End the list before a paragraph
+        const next = section.blocks[i + 1];
+        if (!next || next.type !== 'bullet') lines.push('');
+      } else {
+        lines.push(blockToMarkdown(block), '');
+      }
+    });
+  });
+
+  if (capture.citations.length) {
+    lines.push('## Sources', '');
+    capture.citations.forEach((citation, i) => {
+      lines.push(`${i + 1}. [${escapeMarkdown(citation.title)}](${markdownUrl(citation.url)})`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Export as plain text
+function overviewToPlainText(capture) {
+  const lines = [`AI Overview: ${capture.query || 'untitled search'}`];
+  lines.push(`Captured ${formatCaptureDate(capture.capturedAt)} from ${capture.url}`, '');
+
+  capture.sections.forEach(section => {
+    if (section.heading) {
+      lines.push(section.heading.toUpperCase());
+    }
+    section.blocks.forEach(block => {
+      lines.push(block.type === 'bullet' ? `  • ${block.text}` : block.text);
+    });
+    lines.push('');
+  });
+
+  if (capture.citations.length) {
+    lines.push('SOURCES');
+    capture.citations.forEach(citation => {
+      lines.push(`- ${citation.title} - ${citation.url}`);
+    });
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+// Export as structured JSON
+function overviewToJSON(capture) {
+  return JSON.stringify({
+    format: 'gsc-ai-overview',
+    version: 1,
+    query: capture.query,
+    url: capture.url,
+    capturedAt: new Date(capture.capturedAt).toISOString(),
+    sections: capture.sections.map(section => ({
+      heading: section.heading,
+      blocks: section.blocks.map(block => ({ type: block.type, text: block.text }))
+    })),
+    citations: capture.citations.map(citation => ({ title: citation.title, url: citation.url }))
+  }, null, 2);
+}
+
+// Export formats offered in the UI
+const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: overviewToMarkdown },
+  text: { label: 'Text', extension: 'txt', mimeType: 'text/plain', build: overviewToPlainText },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: overviewToJSON }
+};
+
+// Build a file name like "ai-overview-rust-vs-go-2026-01-31.md"
+function getExportFileName(capture, format) {
+  const slug = (capture.query || 'search')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'search';
+  const date = formatCaptureDate(capture.capturedAt).split(' ')[0];
+  return `ai-overview-${slug}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Copy an export to the clipboard
+function copyExport(capture, format) {
+  return navigator.clipboard.writeText(EXPORT_FORMATS[format].build(capture));
+}
+
+// Save an export as a file
+function downloadExport(capture, format) {
+  const { build, mimeType } = EXPORT_FORMATS[format];
+  const blob = new Blob([build(capture)], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getExportFileName(capture, format);
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Create "Copy" and "Download" rows with a button per format
+// getCapture is called on every click so the latest text is exported
+function createExportActions(getCapture) {
+  const actions = document.createElement('div');
+  actions.className = 'gsc-export';
+
+  const addRow = (label, handler) => {
+    const row = document.createElement('div');
+    row.className = 'gsc-export-row';
+
+    const title = document.createElement('span');
+    title.className = 'gsc-export-label';
+    title.textContent = label;
+    row.appendChild(title);
+
+    Object.keys(EXPORT_FORMATS).forEach(format => {
+      const btn = document.createElement('button');
+      btn.className = 'gsc-export-btn';
+      btn.textContent = EXPORT_FORMATS[format].label;
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler(format, btn);
+      });
+      row.appendChild(btn);
+    });
+
+    actions.appendChild(row);
+  };
+
+  addRow('Copy', (format, btn) => {
+    copyExport(getCapture(), format).then(() => {
+      btn.textContent = 'Copied!';
+    }).catch(() => {
+      btn.textContent = 'Copy failed';
+    }).finally(() => {
+      setTimeout(() => { btn.textContent = EXPORT_FORMATS[format].label; }, 1500);
+    });
+  });
+
+  addRow('Download', (format) => {
+    downloadExport(getCapture(), format);
+  });
+
+  return actions;
+}
@@ -3,6 +3,15 @@
 // Import ExtPay
 importScripts('ExtPay.js');
 
+// Import the Google country domain list
+importScripts('googleDomains.js');
+importScripts('categories.js');
+importScripts('settings.js');
+importScripts('profiles.js');
+importScripts('queryRules.js');
+importScripts('managedPolicy.js');
+importScripts('settingsValidation.js');
+
 // Initialize ExtPay - IMPORTANT: must call startBackground()
 const extpay = ExtPay('aifilter');
 extpay.startBackground();
@@ -13,21 +22,499 @@ extpay.onPaid.addListener(user => {
   chrome.storage.sync.set({ isPaid: true });
 });
 
-// Initialize default preferences on install
+// Serialize content script registration so overlapping permission events can't register twice
+let domainSyncQueue = Promise.resolve();
+
+// Register the content scripts on the extra Google domains the user granted access to
+// Reuses the manifest's search page entries (navigation hooks, early stylesheet, content script)
+// so both always inject the same files
+function syncGoogleDomainScripts() {
+  domainSyncQueue = domainSyncQueue.then(async () => {
+    const domains = await getEnabledGoogleDomains();
+
+    // Ids from older versions are cleared too, since the set of entries changes between releases
+    const registered = (await chrome.scripting.getRegisteredContentScripts())
+      .filter(script => script.id.startsWith(GOOGLE_DOMAINS_SCRIPT_ID));
+    if (registered.length) {
+      await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+    }
+
+    if (!domains.length) return;
+
+    const manifestScripts = chrome.runtime.getManifest().content_scripts
+      .filter(script => script.matches.includes(googleSearchMatch('google.com')));
+    await chrome.scripting.registerContentScripts(manifestScripts.map((script, i) => ({
+      id: `${GOOGLE_DOMAINS_SCRIPT_ID}-${i}`,
+      matches: domains.map(googleSearchMatch),
+      js: script.js,
+      css: script.css,
+      runAt: script.run_at,
+      world: script.world || 'ISOLATED',
+      persistAcrossSessions: true
+    })));
+  }).catch(err => {
+    console.error('Failed to register Google domain content scripts:', err);
+  });
+  return domainSyncQueue;
+}
+
+// Right-click menu entries on result links, mapped to the domain list they add to
+const CONTEXT_MENU_LISTS = {
+  'gsc-block-site': { list: 'blockedDomains', other: 'boostedDomains', title: 'Always hide results from this site' },
+  'gsc-boost-site': { list: 'boostedDomains', other: 'blockedDomains', title: 'Always boost results from this site' }
+};
+
+// Each domain list and the one a domain is taken off when it's added
+const OPPOSITE_DOMAIN_LISTS = {
+  blockedDomains: 'boostedDomains',
+  boostedDomains: 'blockedDomains'
+};
+
+// Create the result link menu entries on every search page the content script runs on
+// Entries are greyed out until the user has paid (like the popup's list editors), and
+// while a policy sets the list they add to
+function setupContextMenus() {
+  Promise.all([getEnabledGoogleDomains(), loadPrefs(), loadManagedPrefs()]).then(([domains, prefs, managed]) => {
+    const searchPages = chrome.runtime.getManifest().content_scripts
+      .find(script => script.js.includes('content.js')).matches;
+    const documentUrlPatterns = [...searchPages, ...domains.map(googleSearchMatch)];
+
+    chrome.contextMenus.removeAll(() => {
+      Object.keys(CONTEXT_MENU_LISTS).forEach(id => {
+        chrome.contextMenus.create({
+          id,
+          title: CONTEXT_MENU_LISTS[id].title,
+          contexts: ['link'],
+          documentUrlPatterns,
+          enabled: prefs.isPaid && !isManagedPref(managed, CONTEXT_MENU_LISTS[id].list)
+        });
+      });
+    });
+  });
+}
+
+// Add a domain to one list and take it off the opposite one
+// Lists a policy sets are left alone, since the stored copy wouldn't be used
+function addDomainToList(domain, list, other) {
+  Promise.all([chrome.storage.sync.get({ [list]: [], [other]: [] }), loadManagedPrefs()]).then(([prefs, managed]) => {
+    if (isManagedPref(managed, list)) return;
+
+    const updates = {};
+    if (!isManagedPref(managed, other)) {
+      updates[other] = prefs[other].filter(entry => entry !== domain);
+    }
+    const added = [...prefs[list], domain];
+    if (!prefs[list].includes(domain) && added.length <= MAX_DOMAIN_ENTRIES && fitsSyncItemQuota(list, added)) {
+      updates[list] = added;
+    }
+    chrome.storage.sync.set(updates).catch(err => {
+      console.error(`Failed to add ${domain} to ${list}:`, err);
+    });
+  });
+}
+
+// Take a domain off a list
+function removeDomainFromList(domain, list) {
+  Promise.all([chrome.storage.sync.get({ [list]: [] }), loadManagedPrefs()]).then(([prefs, managed]) => {
+    if (!isManagedPref(managed, list) && prefs[list].includes(domain)) {
+      chrome.storage.sync.set({ [list]: prefs[list].filter(entry => entry !== domain) });
+    }
+  });
+}
+
+// The content script knows which result was right-clicked (and unwraps redirect links),
+// so it works out the domain and hides its results before the list is saved
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const menu = CONTEXT_MENU_LISTS[info.menuItemId];
+  if (!menu || !tab) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: 'contextMenuSite', list: menu.list }, { frameId: info.frameId || 0 })
+    .then(response => {
+      if (response && response.domain) {
+        addDomainToList(response.domain, menu.list, menu.other);
+      }
+    })
+    .catch(() => {
+      // The content script isn't running on this page
+    });
+});
+
+// Keep registrations and menus in step with granted host permissions
+function onHostPermissionsChanged() {
+  syncGoogleDomainScripts();
+  setupContextMenus();
+}
+
+chrome.permissions.onAdded.addListener(onHostPermissionsChanged);
+chrome.permissions.onRemoved.addListener(onHostPermissionsChanged);
+
+// Paying, or a policy change, can lock or unlock the lists the menu entries add to
+onPrefsChanged((values) => {
+  if ('isPaid' in values) setupContextMenus();
+});
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'managed') setupContextMenus();
+});
+
+// Initialize default preferences on install, and bring stored ones up to date on update
 chrome.runtime.onInstalled.addListener((details) => {
+  // Registered scripts persist across updates, so refresh them with the new file list
+  syncGoogleDomainScripts();
+  setupContextMenus();
+
   if (details.reason === 'install') {
-    // Set default preferences
-    chrome.storage.sync.set({
-      hideAI: true,
-      hideForums: false,
-      hidePeopleAlsoAsk: false,
-      hideShopping: false,
-      hideVideos: false,
-      hideSponsored: false,
-      isPaid: false
+    // Set defaults for whatever hasn't already synced from another device
+    migrateStoredPrefs().catch(err => {
+      console.error('Failed to store default settings:', err);
     });
 
-    console.log('Google Search Cleaner installed with default settings');
+    console.log('Google Search Cleaner installed');
+  } else if (details.reason === 'update') {
+    migrateStoredPrefs().catch(err => {
+      console.error('Failed to migrate stored settings:', err);
+    });
+  }
+});
+
+// Results hidden one at a time from the search page, by URL
+// Kept in chrome.storage.local: a list of full URLs outgrows sync's per-item quota
+const MAX_HIDDEN_RESULTS = 1000;
+
+// Serializes hidden result updates so quick clicks don't overwrite each other
+let hiddenResultsQueue = Promise.resolve();
+
+// Add a result URL to the hidden results, or take it off
+function setResultHidden(url, hidden) {
+  hiddenResultsQueue = hiddenResultsQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.get({ hiddenResults: [] }, (items) => {
+      const list = items.hiddenResults.filter(entry => entry !== url);
+      if (hidden) list.push(url);
+      // Oldest entries go first
+      chrome.storage.local.set({ hiddenResults: list.slice(-MAX_HIDDEN_RESULTS) }, resolve);
+    });
+  }));
+  return hiddenResultsQueue;
+}
+
+// AI Overview history limits (chrome.storage.local allows 10 MB)
+const MAX_ARCHIVE_ENTRIES = 500;
+const MAX_ARCHIVE_BYTES = 4 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRY_BYTES = 50 * 1024;
+
+// Serialize archive writes so captures from several tabs don't overwrite each other
+let archiveQueue = Promise.resolve();
+
+// Trim an entry's text until it fits the per-entry cap
+function trimArchiveEntry(entry) {
+  while (JSON.stringify(entry).length > MAX_ARCHIVE_ENTRY_BYTES) {
+    const section = entry.sections[entry.sections.length - 1];
+    if (!section) break;
+    if (section.blocks.length > 1) {
+      section.blocks.pop();
+    } else {
+      entry.sections.pop();
+    }
+    entry.truncated = true;
+  }
+  return entry;
+}
+
+// Store or update an archived AI Overview, pruning the oldest entries over the caps
+function saveArchiveEntry(entry) {
+  archiveQueue = archiveQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.get({ aiArchive: [] }, ({ aiArchive }) => {
+      const archive = aiArchive.filter(e => e.id !== entry.id);
+      archive.unshift(trimArchiveEntry(entry));
+      archive.sort((a, b) => b.capturedAt - a.capturedAt);
+
+      archive.splice(MAX_ARCHIVE_ENTRIES);
+      while (archive.length > 1 && JSON.stringify(archive).length > MAX_ARCHIVE_BYTES) {
+        archive.pop();
+      }
+
+      chrome.storage.local.set({ aiArchive: archive }, resolve);
+    });
+  }));
+}
+
+// Delete archived AI Overviews by id
+function deleteArchiveEntries(ids) {
+  archiveQueue = archiveQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.get({ aiArchive: [] }, ({ aiArchive }) => {
+      const archive = aiArchive.filter(e => !ids.includes(e.id));
+      chrome.storage.local.set({ aiArchive: archive }, resolve);
+    });
+  }));
+  return archiveQueue;
+}
+
+// Badge shown while filtering is paused
+const PAUSED_BADGE_TEXT = 'OFF';
+const PAUSED_BADGE_COLOR = '#e37400';
+
+// Show how many items were hidden on a tab, broken down by category in the tooltip,
+// or that filtering is paused there
+// Tab-specific badge text is cleared by Chrome on page loads; client-side navigations report zero counts
+function updateTabBadge(tabId, categories, paused) {
+  if (paused) {
+    Promise.all([
+      chrome.action.setBadgeText({ tabId, text: PAUSED_BADGE_TEXT }),
+      chrome.action.setBadgeBackgroundColor({ tabId, color: PAUSED_BADGE_COLOR }),
+      chrome.action.setTitle({ tabId, title: 'Google Search Cleaner - filtering paused' })
+    ]).catch(() => {
+      // The tab was closed before the update arrived
+    });
+    return;
+  }
+
+  const shown = Object.keys(HIDDEN_CATEGORY_LABELS).filter(category => categories[category] > 0);
+  const total = shown.reduce((sum, category) => sum + categories[category], 0);
+
+  const lines = [total ? `Google Search Cleaner - ${total} hidden on this page` : 'Google Search Cleaner'];
+  shown.forEach(category => lines.push(`${HIDDEN_CATEGORY_LABELS[category]}: ${categories[category]}`));
+
+  let text = total ? String(total) : '';
+  if (total > 999) text = '999+';
+
+  Promise.all([
+    chrome.action.setBadgeText({ tabId, text }),
+    chrome.action.setBadgeBackgroundColor({ tabId, color: '#5f6368' }),
+    chrome.action.setTitle({ tabId, title: lines.join('\n') })
+  ]).catch(() => {
+    // The tab was closed before the update arrived
+  });
+}
+
+// Lifetime statistics limits, keeping the counters small however long they run
+const MAX_STATS_DOMAINS = 500;
+const MAX_STATS_DAYS = 400;
+
+// Serialize statistics writes so reports from several tabs don't overwrite each other
+let statsQueue = Promise.resolve();
+
+// Empty lifetime statistics
+function createLifetimeStats() {
+  return { since: Date.now(), total: 0, categories: {}, domains: {}, days: {} };
+}
+
+// Keep only the most-hidden domains and the most recent days
+function pruneLifetimeStats(stats) {
+  const domains = Object.keys(stats.domains);
+  if (domains.length > MAX_STATS_DOMAINS) {
+    domains.sort((a, b) => stats.domains[b] - stats.domains[a]);
+    domains.slice(MAX_STATS_DOMAINS).forEach(domain => delete stats.domains[domain]);
+  }
+
+  const days = Object.keys(stats.days).sort();
+  days.slice(0, Math.max(0, days.length - MAX_STATS_DAYS)).forEach(day => delete stats.days[day]);
+}
+
+// Add a content script's report ({ categories, domains } counts) to the lifetime statistics
+function recordLifetimeStats(report) {
+  statsQueue = statsQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.get({ lifetimeStats: null }, ({ lifetimeStats }) => {
+      const stats = lifetimeStats || createLifetimeStats();
+      const dayKey = getDayKey(new Date());
+      const day = stats.days[dayKey] || (stats.days[dayKey] = {});
+
+      Object.keys(report.categories).forEach(category => {
+        const count = report.categories[category];
+        stats.total += count;
+        stats.categories[category] = (stats.categories[category] || 0) + count;
+        day[category] = (day[category] || 0) + count;
+      });
+      Object.keys(report.domains).forEach(domain => {
+        stats.domains[domain] = (stats.domains[domain] || 0) + report.domains[domain];
+      });
+
+      pruneLifetimeStats(stats);
+      chrome.storage.local.set({ lifetimeStats: stats }, resolve);
+    });
+  }));
+  return statsQueue;
+}
+
+// Start the lifetime statistics over
+function resetLifetimeStats() {
+  statsQueue = statsQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.set({ lifetimeStats: createLifetimeStats() }, resolve);
+  }));
+  return statsQueue;
+}
+
+// Pauses, all kept in session storage so they survive the service worker restarting but not the browser:
+//   filteringOffTabs - tabs paused until resumed (also the toggle-filtering shortcut)
+//   pausedSearches   - tab id -> the query a tab is paused for; the content script ends it on the next search
+//   globalPause      - every tab paused, { until } a time or null for the rest of the browser session
+const PAUSE_DEFAULTS = { filteringOffTabs: [], pausedSearches: {}, globalPause: null };
+
+// Length of the timed pause, and the alarm that ends it
+const PAUSE_MINUTES = 15;
+const PAUSE_ALARM = 'gsc-pause-end';
+
+// Read every pause
+function getPauses() {
+  return chrome.storage.session.get(PAUSE_DEFAULTS);
+}
+
+// Tabs where filtering was switched off until resumed
+function getFilteringOffTabs() {
+  return getPauses().then(pauses => pauses.filteringOffTabs);
+}
+
+// Whether a pause covering every tab is in effect
+function isGlobalPauseActive(pauses) {
+  const pause = pauses.globalPause;
+  return !!pause && (pause.until === null || pause.until > Date.now());
+}
+
+// A tab's filtering state, as its content script sees it
+function getTabState(tabId, pauses) {
+  return {
+    filteringEnabled: !pauses.filteringOffTabs.includes(tabId) && !isGlobalPauseActive(pauses),
+    pausedQuery: tabId in pauses.pausedSearches ? pauses.pausedSearches[tabId] : null
+  };
+}
+
+// Tell a tab's content script its filtering state
+function sendTabState(tabId, pauses) {
+  const state = getTabState(tabId, pauses);
+  return chrome.tabs.sendMessage(tabId, { action: 'setTabFiltering', enabled: state.filteringEnabled, pausedQuery: state.pausedQuery });
+}
+
+// Tell every tab after a pause covering all of them started or ended, and mark the toolbar icon
+// Search tabs replace the default badge with their own paused or count badge
+function sendAllTabStates() {
+  return Promise.all([chrome.tabs.query({}), getPauses()]).then(([tabs, pauses]) => {
+    const paused = isGlobalPauseActive(pauses);
+    chrome.action.setBadgeText({ text: paused ? PAUSED_BADGE_TEXT : '' });
+    chrome.action.setBadgeBackgroundColor({ color: PAUSED_BADGE_COLOR });
+
+    tabs.forEach(tab => {
+      sendTabState(tab.id, pauses).catch(() => {
+        // No content script on this tab
+      });
+    });
+  });
+}
+
+// Pause or resume one tab, telling its content script first
+function setTabPaused(tabId, paused) {
+  return getPauses().then(pauses => {
+    const offTabs = pauses.filteringOffTabs.filter(id => id !== tabId);
+    if (paused) offTabs.push(tabId);
+
+    return sendTabState(tabId, { ...pauses, filteringOffTabs: offTabs }).then(() => {
+      return chrome.storage.session.set({ filteringOffTabs: offTabs });
+    });
+  });
+}
+
+// Turn filtering on or off for one tab
+function toggleTabFiltering(tabId) {
+  return getFilteringOffTabs().then(offTabs => setTabPaused(tabId, !offTabs.includes(tabId)));
+}
+
+// Pause a tab for the search it's showing; the content script reports the query
+function pauseSearch(tabId) {
+  return chrome.tabs.sendMessage(tabId, { action: 'getSearchQuery' }).then(response => {
+    return getPauses().then(pauses => {
+      const pausedSearches = { ...pauses.pausedSearches, [tabId]: response.query };
+      return sendTabState(tabId, { ...pauses, pausedSearches }).then(() => {
+        return chrome.storage.session.set({ pausedSearches });
+      });
+    });
+  });
+}
+
+// Forget a tab's search pause
+function endSearchPause(tabId) {
+  return getPauses().then(pauses => {
+    if (!(tabId in pauses.pausedSearches)) return;
+    const pausedSearches = { ...pauses.pausedSearches };
+    delete pausedSearches[tabId];
+    return chrome.storage.session.set({ pausedSearches });
+  });
+}
+
+// Pause every tab, for PAUSE_MINUTES or (without minutes) until the browser restarts
+function pauseAllTabs(minutes) {
+  const until = minutes ? Date.now() + minutes * 60 * 1000 : null;
+  chrome.alarms.clear(PAUSE_ALARM);
+  if (until) chrome.alarms.create(PAUSE_ALARM, { when: until });
+
+  return chrome.storage.session.set({ globalPause: { until } }).then(sendAllTabStates);
+}
+
+// End the pause covering every tab
+function endGlobalPause() {
+  chrome.alarms.clear(PAUSE_ALARM);
+  return chrome.storage.session.set({ globalPause: null }).then(sendAllTabStates);
+}
+
+// Resume filtering on a tab, ending every pause that covers it
+function resumeFiltering(tabId) {
+  return getPauses().then(pauses => {
+    const pausedSearches = { ...pauses.pausedSearches };
+    delete pausedSearches[tabId];
+
+    return chrome.storage.session.set({
+      filteringOffTabs: pauses.filteringOffTabs.filter(id => id !== tabId),
+      pausedSearches
+    }).then(() => {
+      if (pauses.globalPause) return endGlobalPause();
+      return getPauses().then(updated => sendTabState(tabId, updated)).catch(() => {
+        // Not a search page
+      });
+    });
+  });
+}
+
+// The popup's view of the pauses covering a tab
+function describePauses(tabId) {
+  return getPauses().then(pauses => ({
+    tab: pauses.filteringOffTabs.includes(tabId),
+    search: tabId in pauses.pausedSearches ? pauses.pausedSearches[tabId] : null,
+    global: isGlobalPauseActive(pauses) ? pauses.globalPause : null
+  }));
+}
+
+// The timed pause is over
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PAUSE_ALARM) endGlobalPause();
+});
+
+// Forget closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+  getPauses().then(pauses => {
+    if (pauses.filteringOffTabs.includes(tabId)) {
+      chrome.storage.session.set({ filteringOffTabs: pauses.filteringOffTabs.filter(id => id !== tabId) });
+    }
+  });
+  endSearchPause(tabId);
+});
+
+// Keyboard shortcuts (see options.html); page commands are carried out by the tab's content script
+chrome.commands.onCommand.addListener((command, tab) => {
+  // Profiles apply to every tab
+  if (command === 'cycle-profile') {
+    cycleProfile();
+    return;
+  }
+
+  if (!tab || tab.id === undefined) return;
+
+  let result;
+  if (command === 'toggle-filtering') {
+    result = toggleTabFiltering(tab.id);
+  } else if (command === 'reveal-ai-overview' || command === 'reveal-all') {
+    result = chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command });
+  }
+
+  if (result) {
+    result.catch(() => {
+      // Not a search page, so there's no content script to act on the command
+    });
   }
 });
 
@@ -47,4 +534,78 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true; // Keep channel open for async response
   }
+
+  if (request.action === 'archiveAIOverview') {
+    saveArchiveEntry(request.entry);
+  }
+
+  if (request.action === 'updateBadge' && sender.tab) {
+    updateTabBadge(sender.tab.id, request.categories, request.paused);
+  }
+
+  if (request.action === 'getTabState' && sender.tab) {
+    getPauses().then(pauses => sendResponse(getTabState(sender.tab.id, pauses)));
+    return true;
+  }
+
+  // The tab moved on from the search it was paused for
+  if (request.action === 'endSearchPause' && sender.tab) {
+    endSearchPause(sender.tab.id);
+  }
+
+  // Popup "Pause filtering" menu
+  if (request.action === 'getPauses') {
+    describePauses(request.tabId).then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'pauseFiltering') {
+    const pausing = {
+      tab: () => setTabPaused(request.tabId, true),
+      search: () => pauseSearch(request.tabId),
+      minutes: () => pauseAllTabs(PAUSE_MINUTES),
+      restart: () => pauseAllTabs(null)
+    }[request.kind];
+    if (!pausing) return;
+
+    pausing()
+      .catch(() => {
+        // Tab and search pauses need a search page to act on
+      })
+      .then(() => describePauses(request.tabId))
+      .then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'resumeFiltering') {
+    resumeFiltering(request.tabId).then(() => describePauses(request.tabId)).then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'recordStats') {
+    recordLifetimeStats(request.report);
+  }
+
+  if (request.action === 'resetLifetimeStats') {
+    resetLifetimeStats().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  // Inline "hide this site / hide this result" controls on the search page
+  if (request.action === 'addToDomainList' && OPPOSITE_DOMAIN_LISTS[request.list]) {
+    addDomainToList(request.domain, request.list, OPPOSITE_DOMAIN_LISTS[request.list]);
+  }
+
+  if (request.action === 'removeFromDomainList' && OPPOSITE_DOMAIN_LISTS[request.list]) {
+    removeDomainFromList(request.domain, request.list);
+  }
+
+  if (request.action === 'setResultHidden' && request.url) {
+    setResultHidden(request.url, request.hidden);
+  }
+
+  if (request.action === 'deleteArchiveEntries') {
+    deleteArchiveEntries(request.ids).then(() => sendResponse({ ok: true }));
+    return true;
+  }
 });
@@ -0,0 +1,23 @@
+// Google Search Cleaner - Hidden Item Categories
+// Shared by the background worker (badge tooltip, lifetime statistics), popup ("This page" list)
+// and statistics page. Keys are the categories content.js counts when it hides something
+
+// Display names, in display order
+const HIDDEN_CATEGORY_LABELS = {
+  ai: 'AI Overviews',
+  forums: 'Forums',
+  peopleAlsoAsk: 'People also ask',
+  shopping: 'Shopping',
+  videos: 'Videos',
+  sponsored: 'Sponsored',
+  blocklist: 'Blocked sites',
+  hiddenResults: 'Hidden results',
+  rules: 'Text rules',
+  aiImages: 'AI images'
+};
+
+// Local date key like "2026-01-31", for the daily counts in the lifetime statistics
+function getDayKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -1,78 +1,72 @@
 // Google Search Cleaner - Content Script
-// Uses multiple selector strategies for resilience against Google's frequent DOM changes
+// Uses multiple selector strategies for resilience against frequent DOM changes.
+// Engine-specific selectors and heuristics live in the adapters in engines.js
 
-const SELECTORS = {
-  // AI Overview - using stable data attributes and semantic markers
-  aiOverview: [
-    '[data-async-type="du_kg"]',           // Most reliable - data attribute for AI hub
-    '[data-attrid="wa:/description"]',     // Alternative data attribute
-    '#arc-srp_1',                          // Legacy ID (less reliable)
-  ],
+// Labels Google puts on generated images and paid product listings
+const AI_IMAGE_LABEL = /^(ai[- ]generated|made with (google )?ai|created with ai|digitally (created|altered))$/i;
+const SPONSORED_LABEL = /^(sponsored|ads?|sponsored products?)$/i;
 
-  // Forums / Discussions
-  forums: [
-    '#rso a[href*="reddit.com"]',
-    '#rso a[href*="quora.com"]',
-    '#rso a[href*="stackexchange.com"]',
-    '#rso a[href*="stackoverflow.com"]',
-  ],
-
-  // Discussion section block
-  discussionSection: [
-    '[data-attrid*="discussion"]',
-    'div[jsname="yEVEwb"]',
-  ],
-
-  // People Also Ask - target the whole container
-  peopleAlsoAsk: [
-    '[data-sgrd="true"]',
-    '[data-initq]',                    // Data attribute for question blocks
-  ],
-
-  // Shopping Results
-  shopping: [
-    '.commercial-unit-desktop-top',
-    '.cu-container',
-    '.pla-unit-container',
-    '.sh-dgr__grid-result',
-    '.sh-pr__product-results',
-    '#rso [data-attrid*="kc:/shopping"]',
-  ],
-
-  // Video Carousels - using semantic selectors
-  videos: [
-    'video-voyager',                                    // Custom element for video
-    'g-scrolling-carousel:has(a[href*="youtube.com"])', // Carousel containing YouTube links
-    'g-scrolling-carousel:has(a[href*="video"])',       // Carousel with video links
-    '[data-attrid*="video"]',                           // Data attribute for video blocks
-    '#rso [data-hveid] a[href*="youtube.com"]',         // YouTube links in results
-  ],
-
-  // Sponsored / Ads
-  sponsored: [
-    '.ads-fr',
-    '#tads',
-    '#tadsb',
-    '.uEierd',
-    'div[data-text-ad="1"]',
-    '#rso > div[data-sokoban-container]',
-  ]
-};
-
-// Default preferences
-const DEFAULT_PREFS = {
-  hideAI: true,
-  hideForums: false,
-  hidePeopleAlsoAsk: false,
-  hideShopping: false,
-  hideVideos: false,
-  hideSponsored: false,
-  isPaid: false
-};
+// Adapter for the search engine this page belongs to
+const engine = detectSearchEngine();
 
 // Global state to prevent race conditions
+// The preferences in effect on this search: the stored ones with the matching query rule applied
 let currentState = { ...DEFAULT_PREFS };
 
+// Preferences as stored
+let storedPrefs = { ...DEFAULT_PREFS };
+
+// Profiles a query rule can switch to
+let profileState = { ...PROFILE_STORAGE_DEFAULTS };
+
+// Settings an administrator enforces over the stored ones
+let managedPrefs = {};
+
+// Original positions of boosted results so they can be put back
+const boostOrigins = new Map();
+
+// What was hidden on this page, by category and by text rule id
+let pageStats = { categories: {}, rules: {} };
+
+// Compiled text rule matchers keyed by pattern
+const ruleMatcherCache = new Map();
+
+// The archive entry for the overview on the current page
+let archiveCapture = { pageUrl: '', id: '', text: '' };
+
+// Link under the last right-click, for the "Always hide/boost results from this site" menu
+let contextMenuLink = null;
+
+// Single results hidden with the inline controls, by URL (kept in chrome.storage.local)
+let hiddenResults = new Set();
+
+// Sites and results hidden with the inline controls on this page, which get an "Undo" bar
+const inlineHidden = { domains: new Set(), urls: new Set() };
+
+// Everything hidden on this page, for the popup's "This page" list
+let hiddenItems = [];
+let nextHiddenItemId = 1;
+
+// Hidden counts not yet added to the lifetime statistics
+let pendingStatsReport = { categories: {}, domains: {} };
+
+// Elements already in the lifetime statistics, so re-hiding after a preference change doesn't count twice
+const lifetimeCounted = new WeakSet();
+
+// Elements added to the page since the last incremental scan
+const pendingRoots = new Set();
+
+// While the page is still changing, look for late AI answers this often
+const SETTLE_CHECK_INTERVAL = 1000;
+
+// The page counts as settled once nothing was added for this long
+const SETTLE_QUIET_TIME = 3000;
+
+// Page lifecycle: the URL last cleaned, when content last arrived, and the settle check timer
+let lastUrl = location.href;
+let lastActivity = Date.now();
+let settleTimer = null;
+
 // Debounce utility
 function debounce(func, wait) {
   let timeout;
@@ -88,13 +82,15 @@ function debounce(func, wait) {
 
 // Check if an element is safe to hide (not part of header/nav)
 function isSafeToHide(element) {
+  // Never hide the extension's own controls
+  if (isExtensionUI(element)) {
+    return false;
+  }
+
   const forbiddenSelectors = [
-    '#gb',           // Google header bar
-    '#searchform',   // Search form
     'header',
     '[role="navigation"]',
-    '#top_nav',
-    '.sfbg',         // Search form background
+    ...engine.protectedSelectors,
   ];
 
   for (const selector of forbiddenSelectors) {
@@ -109,292 +105,1261 @@ function isSafeToHide(element) {
   return true;
 }
 
-// Find elements by selectors
-function findElements(selectorArray) {
+// Check if an element belongs to UI this extension injected
+function isExtensionUI(element) {
+  return !!element.closest('[data-gsc-ui]');
+}
+
+// Find the elements matching a selector in a subtree, including the root itself
+// A :has() selector can start matching an ancestor when content is added below it
+function queryWithin(root, selector) {
   const found = [];
+  if (selector.includes(':has(')) {
+    const ancestor = root.closest(selector);
+    if (ancestor) found.push(ancestor);
+  } else if (root.matches(selector)) {
+    found.push(root);
+  }
+  root.querySelectorAll(selector).forEach(el => found.push(el));
+  return found;
+}
+
+// Find elements by selectors inside the scanned roots
+function findElements(selectorArray, roots = [document.body]) {
+  const found = new Set();
   for (const selector of selectorArray) {
     try {
-      document.querySelectorAll(selector).forEach(el => {
-        if (!found.includes(el)) {
-          found.push(el);
-        }
+      roots.forEach(root => {
+        queryWithin(root, selector).forEach(el => {
+          if (!isExtensionUI(el)) found.add(el);
+        });
       });
     } catch (e) {
       // Invalid selector, skip
     }
   }
+  return [...found];
+}
+
+// Find headings inside the scanned roots, or the heading a root was added to
+function findHeadings(roots, selector = 'h2, h3, div[role="heading"], [aria-level]') {
+  const found = new Set();
+  roots.forEach(root => {
+    const heading = root.closest(selector);
+    if (heading) found.add(heading);
+    root.querySelectorAll(selector).forEach(el => found.add(el));
+  });
+  return [...found];
+}
+
+// Find the elements holding a short label, e.g. "Sponsored" or "AI-generated"
+function findLabelledElements(pattern, roots = [document.body]) {
+  const found = [];
+  roots.forEach(root => {
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) => {
+          const text = node.textContent.trim();
+          // Labels are short; skip long text without running the pattern
+          if (text.length < 40 && pattern.test(text)) {
+            return NodeFilter.FILTER_ACCEPT;
+          }
+          return NodeFilter.FILTER_SKIP;
+        }
+      }
+    );
+
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.parentElement && !isExtensionUI(node.parentElement)) {
+        found.push(node.parentElement);
+      }
+    }
+  });
   return found;
 }
 
-// Find AI Overview container using stable semantic selectors
-function findAIOverviewContainer() {
-  // Method 1: Data Attributes (Most Reliable)
-  // Google uses data- attributes for internal tracking that are harder to change
-  const dataSelectors = [
-    '[data-async-type="du_kg"]',
-    '[data-attrid="wa:/description"]',
-    '[data-async-context*="ai_overview"]',
-  ];
+// Remember the elements added by a batch of mutations for the next incremental scan
+function collectAddedRoots(mutations) {
+  mutations.forEach(mutation => {
+    mutation.addedNodes.forEach(node => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      if (element) pendingRoots.add(element);
+    });
+  });
+}
+
+// Take the pending roots, keeping only the outermost ones still on the page
+// and skipping the extension's own UI
+function takePendingRoots() {
+  const candidates = new Set([...pendingRoots].filter(el => el.isConnected && !isExtensionUI(el)));
+  pendingRoots.clear();
+
+  return [...candidates].filter(root => {
+    for (let parent = root.parentElement; parent; parent = parent.parentElement) {
+      if (candidates.has(parent)) return false;
+    }
+    return true;
+  });
+}
+
+// Resolve a link to its destination, unwrapping the engine's click-tracking redirects
+function resolveLinkUrl(link) {
+  const url = new URL(link.href, location.href);
+  const target = engine.unwrapUrl(url);
+  return target ? new URL(target) : url;
+}
+
+// Get the destination URL of a result link, or the raw href if it can't be unwrapped
+function getResultUrl(link) {
+  try {
+    return resolveLinkUrl(link).href;
+  } catch (e) {
+    return link.href;
+  }
+}
+
+// Key for the hidden results list - the same page with another #fragment is the same result
+function normalizeResultUrl(url) {
+  return url.split('#')[0];
+}
+
+// Get the destination hostname of a result link
+function getLinkHostname(link) {
+  try {
+    return resolveLinkUrl(link).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Check if a link points to a forum or Q&A site
+function isForumLink(link) {
+  return isDomainListed(getLinkHostname(link), FORUM_DOMAINS);
+}
+
+// Check a hostname against a domain pattern
+// "example.com" matches example.com and www.example.com,
+// "*.example.com" matches example.com and every subdomain of it
+function domainMatches(hostname, pattern) {
+  const host = hostname.replace(/^www\./, '');
+  if (pattern.startsWith('*.')) {
+    const base = pattern.slice(2);
+    return host === base || host.endsWith('.' + base);
+  }
+  return host === pattern.replace(/^www\./, '');
+}
 
-  for (const selector of dataSelectors) {
-    const container = document.querySelector(selector);
-    if (container) {
-      return container;
+// Check a hostname against a list of domain patterns
+function isDomainListed(hostname, patterns) {
+  if (!hostname) return false;
+  return patterns.some(pattern => domainMatches(hostname, pattern));
+}
+
+// Compile a text rule pattern into a matcher function
+// "/best .* 2026/i" is a regular expression, anything else is a case-insensitive substring
+function compileTextRule(pattern) {
+  if (ruleMatcherCache.has(pattern)) {
+    return ruleMatcherCache.get(pattern);
+  }
+
+  let matcher = null;
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      // g and y make test() resume from the last match, so one rule would skip results;
+      // policy and older stored rules can still carry them
+      const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+      matcher = (text) => regex.test(text);
+    } catch (e) {
+      // Invalid regex - rule is skipped
     }
+  } else if (pattern) {
+    const needle = pattern.toLowerCase();
+    matcher = (text) => text.toLowerCase().includes(needle);
   }
 
-  // Method 2: Shadow DOM Piercing
-  // In some regions, Google puts AI Overview inside Shadow DOM
-  const shadowHosts = document.querySelectorAll('search-as-you-type, ai-overview-container, [data-component]');
-  for (const host of shadowHosts) {
-    if (host.shadowRoot) {
-      const innerContent = host.shadowRoot.querySelector('[data-async-type="du_kg"], .container');
-      if (innerContent) {
-        return host; // Hide the host element
-      }
+  ruleMatcherCache.set(pattern, matcher);
+  return matcher;
+}
+
+// Find organic results with their title, URL and snippet text
+// A root inside a result (e.g. a snippet that loaded late) rescans that whole result
+function findOrganicResults(roots = [document.body]) {
+  const results = [];
+  const scopes = roots.map(root => root.closest(engine.resultBlock) || root);
+  // Each alternative title selector is looked up inside the results container
+  const titleSelectors = engine.resultTitle.split(',').map(part => `${engine.results} ${part.trim()}`);
+  findElements(titleSelectors, scopes).forEach(title => {
+    const block = title.closest(engine.resultBlock);
+    if (!block || results.some(result => result.block === block)) return;
+
+    // Only the result's own link counts: a title outside it isn't an organic result, and
+    // other links in the block (sitelinks, images, sources) would give the wrong URL
+    const link = title.closest('a[href]') || (engine.titleHoldsLink ? title.querySelector('a[href]') : null);
+    if (!link) return;
+
+    const snippetEl = block.querySelector(engine.resultSnippet);
+    const titleText = (title.innerText || title.textContent || '').trim();
+    let snippet = snippetEl ? (snippetEl.innerText || snippetEl.textContent || '') : '';
+    if (!snippetEl) {
+      snippet = (block.innerText || block.textContent || '').replace(titleText, '');
     }
+
+    results.push({ block, link, title: titleText, url: getResultUrl(link), snippet: snippet.trim() });
+  });
+  return results;
+}
+
+// Check a result against a text rule
+function resultMatchesRule(result, rule) {
+  const matcher = compileTextRule(rule.pattern);
+  if (!matcher) return false;
+
+  if (rule.field === 'any') {
+    return [result.title, result.url, result.snippet].some(text => matcher(text));
   }
+  return matcher(result[rule.field] || '');
+}
 
-  // Method 3: Heading Text Search (Fail-Safe)
-  // Find "AI Overview" text and traverse up to container
-  const headings = document.querySelectorAll('h1, h2, h3, div[role="heading"], [aria-level]');
-  for (const heading of headings) {
-    const text = (heading.innerText || heading.textContent || '').trim().toLowerCase();
-    if (text === 'ai overview' || text.startsWith('ai overview')) {
-      // Traverse up to find the main container using stable attributes
-      let container = heading.closest('[data-async-context], [data-hveid], [data-ved]');
-      if (container) {
-        // Keep going up until we find the outermost AI container
-        // but stop at main search results boundaries
-        let parent = container;
-        while (parent && parent.parentElement) {
-          const parentParent = parent.parentElement;
-          // Stop if we hit the main results container
-          if (parentParent.id === 'rso' || parentParent.id === 'center_col' || parentParent.id === 'rcnt') {
-            return parent;
-          }
-          // Check if parent also has data attributes (might be the actual container)
-          if (parentParent.hasAttribute('data-async-context') || parentParent.hasAttribute('data-hveid')) {
-            parent = parentParent;
-          } else {
-            break;
-          }
-        }
-        return parent || container;
+// Find the largest wrapper of a result that can be moved without taking other results along
+function getMovableResult(resultBlock, container) {
+  let unit = resultBlock;
+  while (unit.parentElement && unit.parentElement !== container) {
+    if (unit.parentElement.querySelectorAll(engine.resultTitle).length > 1) break;
+    unit = unit.parentElement;
+  }
+  return unit;
+}
+
+// Move results from preferred domains to the top of the results and mark them
+function boostResults(domains) {
+  const rso = document.querySelector(engine.results);
+  if (!rso) return;
+
+  const units = [];
+  rso.querySelectorAll('a[href]').forEach(link => {
+    if (isExtensionUI(link) || !isDomainListed(getLinkHostname(link), domains)) return;
+
+    const resultBlock = link.closest(engine.resultBlock);
+    if (!resultBlock || !rso.contains(resultBlock) || resultBlock.dataset.gscHidden === 'true') return;
+
+    resultBlock.classList.add('gsc-boosted');
+
+    const unit = getMovableResult(resultBlock, rso);
+    if (!units.includes(unit)) {
+      units.push(unit);
+    }
+  });
+
+  // Skip the move when the boosted results already lead the results in order,
+  // otherwise every observer re-run would trigger another round of mutations
+  const inPlace = units.every((unit, i) => rso.children[i] === unit);
+  if (inPlace) return;
+
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unit = units[i];
+    if (!boostOrigins.has(unit)) {
+      boostOrigins.set(unit, { parent: unit.parentElement, next: unit.nextSibling });
+    }
+    rso.insertBefore(unit, rso.firstChild);
+  }
+}
+
+// Put boosted results back where Google rendered them
+function unboostResults() {
+  document.querySelectorAll('.gsc-boosted').forEach(el => el.classList.remove('gsc-boosted'));
+
+  boostOrigins.forEach((origin, unit) => {
+    if (!origin.parent.isConnected) return;
+    const next = origin.next && origin.next.parentNode === origin.parent ? origin.next : null;
+    origin.parent.insertBefore(unit, next);
+  });
+  boostOrigins.clear();
+}
+
+// Undo everything the filters did to the page
+function resetFilteredState() {
+  document.querySelectorAll('.gsc-ai-bar, .gsc-result-undo, .gsc-result-controls').forEach(ui => ui.remove());
+  document.querySelectorAll('[data-gsc-hidden]').forEach(el => {
+    el.style.display = '';
+    el.dataset.gscHidden = 'false';
+  });
+  unboostResults();
+  pageStats = { categories: {}, rules: {} };
+  hiddenItems = [];
+  scheduleBadgeUpdate();
+}
+
+// Send this page's hidden counts to the background worker for the toolbar badge
+function reportPageStats() {
+  chrome.runtime.sendMessage({ action: 'updateBadge', categories: pageStats.categories, paused: !isTabFilteringOn() });
+}
+
+// Elements are hidden in bursts, so report once a burst is over
+const scheduleBadgeUpdate = debounce(reportPageStats, 250);
+
+// Tags that start a new block when extracting AI Overview text
+const AI_BLOCK_TAGS = new Set([
+  'DIV', 'P', 'SECTION', 'ARTICLE', 'UL', 'OL', 'LI', 'TABLE', 'TR', 'BLOCKQUOTE', 'BR',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6'
+]);
+
+// Tags whose content is never part of the AI text
+const AI_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'BUTTON', 'SVG', 'IMG', 'G-IMG', 'TEMPLATE']);
+
+// Widget chrome around the generated text
+const AI_BOILERPLATE = [
+  /^ai overview$/i,
+  /^show (more|all|less)$/i,
+  /^learn more$/i,
+  /^ai responses may include mistakes/i,
+  /^generative ai is experimental/i,
+];
+
+// Extract the text of an AI Overview as sections of paragraphs and bullets
+// Works on hidden containers and includes the collapsed "Show more" part.
+// Blocks keep bold and link runs when they have any, for Markdown export
+function extractAIOverview(container) {
+  const sections = [{ heading: '', blocks: [] }];
+  let runs = [];
+
+  const current = () => sections[sections.length - 1];
+  const clean = (text) => text.replace(/\s+/g, ' ').trim();
+  const isBoilerplate = (text) => AI_BOILERPLATE.some(pattern => pattern.test(text));
+  const isHeading = (el) => /^H[1-6]$/.test(el.tagName) || el.getAttribute('role') === 'heading';
+
+  // Text run with the formatting it inherits
+  const makeRun = (text, style) => {
+    const run = { text };
+    if (style.bold) run.bold = true;
+    if (style.href) run.href = style.href;
+    return run;
+  };
+
+  // Formatting an inline element adds to its children
+  const inlineStyle = (el, style) => {
+    if (el.tagName === 'B' || el.tagName === 'STRONG') {
+      style = { ...style, bold: true };
+    }
+    if (el.tagName === 'A') {
+      const url = getExternalUrl(el);
+      if (url) style = { ...style, href: url.href };
+    }
+    return style;
+  };
+
+  // Merge runs with the same formatting and collapse whitespace
+  const normalizeRuns = (rawRuns) => {
+    const merged = [];
+    rawRuns.forEach(run => {
+      const text = run.text.replace(/\s+/g, ' ');
+      const last = merged[merged.length - 1];
+      if (last && !!last.bold === !!run.bold && last.href === run.href) {
+        last.text += text;
+      } else {
+        merged.push({ ...run, text });
       }
+    });
+    if (merged.length) {
+      merged[0].text = merged[0].text.replace(/^\s+/, '');
+      merged[merged.length - 1].text = merged[merged.length - 1].text.replace(/\s+$/, '');
+    }
+    return merged.filter(run => run.text);
+  };
 
-      // Fallback: just go up a fixed number of levels
-      let element = heading;
-      for (let i = 0; i < 6 && element.parentElement; i++) {
-        element = element.parentElement;
-        // Stop if we find a container with data attributes
-        if (element.hasAttribute('data-hveid') || element.hasAttribute('data-async-context')) {
-          return element;
-        }
+  const addBlock = (type, rawRuns) => {
+    const blockRuns = normalizeRuns(rawRuns);
+    const text = blockRuns.map(run => run.text).join('');
+    if (!text || isBoilerplate(text)) return;
+    const blocks = current().blocks;
+    const last = blocks[blocks.length - 1];
+    // Google sometimes renders the same text twice (e.g. for the collapsed preview)
+    if (last && last.text === text) return;
+
+    const block = { type, text };
+    if (blockRuns.some(run => run.bold || run.href)) {
+      block.runs = blockRuns;
+    }
+    blocks.push(block);
+  };
+
+  const flush = () => {
+    addBlock('paragraph', runs);
+    runs = [];
+  };
+
+  // Collect all inline text below a node, ignoring block boundaries
+  const collectRuns = (node, style, target) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.push(makeRun(node.textContent, style));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || AI_SKIP_TAGS.has(node.tagName)) return;
+    if (node.getAttribute('role') === 'button') return;
+    const next = inlineStyle(node, style);
+    node.childNodes.forEach(child => collectRuns(child, next, target));
+  };
+
+  const walk = (node, style) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      runs.push(makeRun(node.textContent, style));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || AI_SKIP_TAGS.has(node.tagName)) return;
+    if (node.getAttribute('role') === 'button') return;
+
+    if (isHeading(node)) {
+      flush();
+      const headingRuns = [];
+      collectRuns(node, {}, headingRuns);
+      const heading = clean(headingRuns.map(run => run.text).join(''));
+      if (heading && !isBoilerplate(heading)) {
+        sections.push({ heading, blocks: [] });
       }
-      return element;
+      return;
+    }
+
+    if (node.tagName === 'LI') {
+      flush();
+      const itemRuns = [];
+      collectRuns(node, style, itemRuns);
+      addBlock('bullet', itemRuns);
+      return;
     }
+
+    const isBlock = AI_BLOCK_TAGS.has(node.tagName);
+    const next = inlineStyle(node, style);
+    if (isBlock) flush();
+    node.childNodes.forEach(child => walk(child, next));
+    if (isBlock) flush();
+  };
+
+  walk(container, {});
+  flush();
+
+  return { sections: sections.filter(section => section.heading || section.blocks.length) };
+}
+
+// Get the external destination of a link inside the engine's UI, or null for the engine's own links
+function getExternalUrl(link) {
+  let url;
+  try {
+    url = resolveLinkUrl(link);
+  } catch (e) {
+    return null;
   }
 
-  // Method 4: TreeWalker text search (most thorough fail-safe)
-  // Find any text node containing "AI Overview" and walk up
-  const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
-    {
-      acceptNode: (node) => {
-        const text = node.textContent.trim();
-        if (text === 'AI Overview') {
-          return NodeFilter.FILTER_ACCEPT;
-        }
-        return NodeFilter.FILTER_SKIP;
-      }
+  // Skip the engine's own links (search refinements, feedback, etc.)
+  if (!/^https?:$/.test(url.protocol) || engine.isOwnHost(url.hostname)) return null;
+  return url;
+}
+
+// Extract the source links cited by an AI Overview
+function extractAICitations(container) {
+  const citations = [];
+  container.querySelectorAll('a[href]').forEach(link => {
+    const url = getExternalUrl(link);
+    if (!url) return;
+
+    const href = url.href;
+    if (citations.some(citation => citation.url === href)) return;
+
+    const title = (link.getAttribute('aria-label') || link.textContent || '').replace(/\s+/g, ' ').trim();
+    citations.push({
+      url: href,
+      title: title || url.hostname.replace(/^www\./, ''),
+      domain: url.hostname.replace(/^www\./, '')
+    });
+  });
+  return citations;
+}
+
+// Capture an AI Overview for the archive and exports
+function captureAIOverview(container) {
+  return {
+    query: new URLSearchParams(location.search).get('q') || '',
+    engine: engine.id,
+    url: location.href,
+    capturedAt: Date.now(),
+    sections: extractAIOverview(container).sections,
+    citations: extractAICitations(container)
+  };
+}
+
+// Send the current AI Overview to the background worker for the history archive
+// The same entry is updated while Google streams the rest of the answer in
+function archiveAIOverview(container) {
+  if (!currentState.archiveAIOverviews || !container.isConnected) return;
+
+  if (archiveCapture.pageUrl !== location.href) {
+    archiveCapture = {
+      pageUrl: location.href,
+      id: createEntryId('a'),
+      text: ''
+    };
+  }
+
+  const capture = captureAIOverview(container);
+  const text = capture.sections
+    .map(section => [section.heading, ...section.blocks.map(block => block.text)].join('\n'))
+    .join('\n')
+    .trim();
+
+  if (!text || text === archiveCapture.text) return;
+  archiveCapture.text = text;
+
+  chrome.runtime.sendMessage({
+    action: 'archiveAIOverview',
+    entry: { id: archiveCapture.id, ...capture }
+  });
+}
+
+// Overviews stream in, so wait for the container to settle before archiving
+const scheduleAIArchive = debounce(archiveAIOverview, 2000);
+
+// Render extracted AI Overview text into a panel
+// Uses divs rather than headings so the page heuristics never pick the panel up
+function renderAIPanel(panel, overview) {
+  panel.textContent = '';
+
+  const title = document.createElement('div');
+  title.className = 'gsc-ai-panel-title';
+  title.textContent = 'What the AI said';
+  panel.appendChild(title);
+
+  if (!overview.sections.length) {
+    const empty = document.createElement('div');
+    empty.className = 'gsc-ai-panel-empty';
+    empty.textContent = 'The AI Overview has not finished loading yet.';
+    panel.appendChild(empty);
+    return;
+  }
+
+  overview.sections.forEach(section => {
+    if (section.heading) {
+      const heading = document.createElement('div');
+      heading.className = 'gsc-ai-panel-heading';
+      heading.textContent = section.heading;
+      panel.appendChild(heading);
     }
-  );
-
-  const textNode = walker.nextNode();
-  if (textNode && textNode.parentElement) {
-    let element = textNode.parentElement;
-    // Walk up to find a container with data attributes
-    for (let i = 0; i < 10 && element; i++) {
-      if (element.hasAttribute('data-hveid') || element.hasAttribute('data-async-context')) {
-        // Keep going up to find the outermost container
-        let parent = element;
-        while (parent.parentElement) {
-          const pp = parent.parentElement;
-          if (pp.id === 'rso' || pp.id === 'center_col' || pp.id === 'rcnt') {
-            return parent;
-          }
-          if (pp.hasAttribute('data-hveid') || pp.hasAttribute('data-async-context')) {
-            parent = pp;
-          } else {
-            break;
-          }
+
+    let list = null;
+    section.blocks.forEach(block => {
+      if (block.type === 'bullet') {
+        if (!list) {
+          list = document.createElement('ul');
+          panel.appendChild(list);
         }
-        return parent;
+        const item = document.createElement('li');
+        item.textContent = block.text;
+        list.appendChild(item);
+      } else {
+        list = null;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = block.text;
+        panel.appendChild(paragraph);
       }
-      element = element.parentElement;
-    }
+    });
+  });
+}
+
+// Controls inserted for each hidden AI Overview element
+const aiControls = new WeakMap();
+
+// Render the "Sources the AI used" list, which takes the place of the button once citations are known
+// Only touches the DOM when the citations changed, so observer re-runs settle
+function renderAISources(element) {
+  const controls = aiControls.get(element);
+  if (!controls || !controls.bar.isConnected) return;
+
+  const citations = extractAICitations(element);
+  const signature = citations.map(citation => citation.url).join('\n');
+  if (signature === controls.sourcesSignature) return;
+  controls.sourcesSignature = signature;
+
+  const { bar, sources, btn } = controls;
+  sources.textContent = '';
+
+  if (!citations.length) {
+    sources.hidden = true;
+    btn.classList.remove('gsc-compact');
+    bar.insertBefore(btn, controls.panel);
+    return;
   }
 
-  return null;
+  const header = document.createElement('div');
+  header.className = 'gsc-ai-sources-header';
+
+  const title = document.createElement('span');
+  title.className = 'gsc-ai-sources-title';
+  title.textContent = 'Sources the AI used';
+
+  header.appendChild(title);
+  btn.classList.add('gsc-compact');
+  header.appendChild(btn);
+  sources.appendChild(header);
+
+  const list = document.createElement('ul');
+  list.className = 'gsc-ai-sources-list';
+  citations.forEach(citation => {
+    const item = document.createElement('li');
+
+    const link = document.createElement('a');
+    link.href = citation.url;
+    link.title = citation.url;
+    link.textContent = citation.title;
+
+    const domain = document.createElement('span');
+    domain.className = 'gsc-ai-source-domain';
+    domain.textContent = citation.domain;
+
+    item.appendChild(link);
+    item.appendChild(domain);
+    list.appendChild(item);
+  });
+  sources.appendChild(list);
+  sources.hidden = false;
+}
+
+// Insert the "See what AI said" button, source list and text panel before a hidden AI Overview
+function insertAIControls(element) {
+  if (!element.parentNode) return;
+
+  const bar = document.createElement('div');
+  bar.className = 'gsc-ai-bar';
+  bar.dataset.gscUi = 'true';
+
+  const sources = document.createElement('div');
+  sources.className = 'gsc-ai-sources';
+  sources.hidden = true;
+
+  const btn = document.createElement('button');
+  btn.id = createEntryId('gsc-show-ai-btn-');
+  btn.className = 'gsc-show-ai-btn';
+  btn.textContent = '✨ See what AI said';
+
+  const panel = document.createElement('div');
+  panel.className = 'gsc-ai-panel';
+  panel.hidden = true;
+
+  const footer = document.createElement('div');
+  footer.className = 'gsc-ai-panel-footer';
+
+  // Copy and download actions always export what the overview says right now
+  footer.appendChild(createExportActions(() => captureAIOverview(element)));
+
+  const showOriginal = document.createElement('button');
+  showOriginal.className = 'gsc-ai-link';
+  showOriginal.textContent = 'Show the original AI Overview';
+  footer.appendChild(showOriginal);
+
+  btn.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (panel.hidden) {
+      // Extract on open so text that streamed in after hiding is included
+      renderAIPanel(panel, extractAIOverview(element));
+      panel.appendChild(footer);
+      panel.hidden = false;
+      btn.textContent = '✨ Hide AI text';
+    } else {
+      panel.hidden = true;
+      btn.textContent = '✨ See what AI said';
+    }
+  };
+
+  showOriginal.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    revealElement(element);
+  };
+
+  bar.appendChild(sources);
+  bar.appendChild(btn);
+  bar.appendChild(panel);
+  element.parentNode.insertBefore(bar, element);
+
+  aiControls.set(element, { bar, sources, btn, panel, sourcesSignature: '' });
+  renderAISources(element);
 }
 
 // Hide an element
+// Returns true if the element was newly hidden
+// Elements the user revealed stay visible until the page or preferences change
 function hideElement(element, type = 'generic') {
-  if (!element || element.dataset.gscHidden === 'true') return;
+  if (!element || element.dataset.gscHidden === 'true' || element.dataset.gscHidden === 'user-shown') return false;
 
   if (!isSafeToHide(element)) {
-    return;
+    return false;
   }
 
   // Mark as processed
   element.dataset.gscHidden = 'true';
+  pageStats.categories[type] = (pageStats.categories[type] || 0) + 1;
+  hiddenItems.push({ id: nextHiddenItemId++, element, category: type });
+  scheduleBadgeUpdate();
+  countLifetimeStat(element, type);
 
-  // Special handling for AI Overview - Add "Show" button
+  // Special handling for AI Overview - Add "See what AI said" button
   if (type === 'ai') {
-    // Create wrapper for the button to ensure it doesn't mess up layout
-    const buttonId = 'gsc-show-ai-btn-' + Math.random().toString(36).substr(2, 9);
-    
-    const btn = document.createElement('button');
-    btn.id = buttonId;
-    btn.className = 'gsc-show-ai-btn';
-    btn.innerText = '✨ Show AI Overview';
-    btn.style.cssText = `
-      display: block;
-      margin: 10px 0;
-      padding: 8px 16px;
-      background: #f1f3f4;
-      border: 1px solid #dadce0;
-      border-radius: 18px;
-      color: #1a73e8;
-      font-family: Google Sans, Roboto, sans-serif;
-      font-size: 14px;
-      font-weight: 500;
-      cursor: pointer;
-      z-index: 999;
-    `;
-
-    btn.onclick = (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      // Unhide the element
-      element.style.display = '';
-      element.dataset.gscHidden = 'user-shown'; // distinct state so we don't re-hide immediately
-      btn.remove();
-    };
+    insertAIControls(element);
+  } else if (type === 'blocklist' || type === 'hiddenResults') {
+    insertUndoBar(element, type);
+  }
 
-    // Insert button before the element
-    if (element.parentNode) {
-      element.parentNode.insertBefore(btn, element);
+  element.style.setProperty('display', 'none', 'important');
+
+  return true;
+}
+
+// Find the AI Overview a root was added to, once its controls are in place
+function findEnclosingAIOverview(root) {
+  for (let el = root.parentElement; el; el = el.parentElement) {
+    if (aiControls.has(el)) return el;
+  }
+  return null;
+}
+
+// Show a hidden element again
+// The distinct 'user-shown' state keeps the filters (and the CSS-first stylesheet) off it
+function revealElement(element) {
+  element.style.display = '';
+  element.dataset.gscHidden = 'user-shown';
+
+  const controls = aiControls.get(element);
+  if (controls) controls.bar.hidden = true;
+
+  const undoBar = undoBars.get(element);
+  if (undoBar) undoBar.hidden = true;
+}
+
+// Hide an element the user revealed
+function rehideElement(element) {
+  element.dataset.gscHidden = 'true';
+  element.style.setProperty('display', 'none', 'important');
+
+  const controls = aiControls.get(element);
+  if (controls) controls.bar.hidden = false;
+
+  const undoBar = undoBars.get(element);
+  if (undoBar) undoBar.hidden = false;
+}
+
+// Get the site an element links to, from its first external link
+function getElementDomain(element) {
+  for (const link of element.querySelectorAll('a[href]')) {
+    const url = getExternalUrl(link);
+    if (url) return url.hostname.replace(/^www\./, '');
+  }
+  return '';
+}
+
+// Send the pending hidden counts to the background worker's lifetime statistics
+function sendStatsReport() {
+  const report = pendingStatsReport;
+  pendingStatsReport = { categories: {}, domains: {} };
+
+  if (Object.keys(report.categories).length) {
+    chrome.runtime.sendMessage({ action: 'recordStats', report });
+  }
+}
+
+// Report in batches rather than once per element
+const scheduleStatsReport = debounce(sendStatsReport, 2000);
+
+// Add a newly hidden element to the next lifetime statistics report
+function countLifetimeStat(element, type) {
+  if (lifetimeCounted.has(element)) return;
+  lifetimeCounted.add(element);
+
+  const report = pendingStatsReport;
+  report.categories[type] = (report.categories[type] || 0) + 1;
+
+  // AI answers cite many sites without coming from any of them
+  const domain = type === 'ai' ? '' : getElementDomain(element);
+  if (domain) {
+    report.domains[domain] = (report.domains[domain] || 0) + 1;
+  }
+
+  scheduleStatsReport();
+}
+
+// Describe a hidden element for the popup: its title or first words and the site it links to
+function describeHiddenItem(item) {
+  const { element } = item;
+  // AI answers have headings of their own, which say little about the block
+  const title = item.category === 'ai' ? null : element.querySelector(engine.resultTitle);
+  const preview = ((title || element).textContent || '').replace(/\s+/g, ' ').trim();
+
+  return {
+    id: item.id,
+    category: item.category,
+    preview: preview.length > 90 ? preview.slice(0, 87) + '...' : preview,
+    domain: getElementDomain(element),
+    revealed: element.dataset.gscHidden === 'user-shown'
+  };
+}
+
+// Reveal every hidden item, or those of one category
+function revealHiddenItems(category) {
+  hiddenItems.forEach(item => {
+    if (category && item.category !== category) return;
+    if (item.element.dataset.gscHidden === 'true') revealElement(item.element);
+  });
+}
+
+// The hidden items still on the page, as sent to the popup
+function listHiddenItems() {
+  return hiddenItems.filter(item => item.element.isConnected).map(describeHiddenItem);
+}
+
+// Hide every AI Overview element in the scanned roots
+function hideAIOverviews(roots = [document.body]) {
+  // Collect ALL potential AI elements
+  let aiElements = findElements(engine.selectors.aiOverview, roots);
+
+  // Always try to find the container via heuristics too,
+  // as direct selectors often miss the parent wrapper.
+  // Text streaming into an overview that is already hidden still refreshes its sources and archive copy
+  let aiContainer = null;
+  roots.forEach(root => {
+    const container = engine.findAIAnswer(root) || findEnclosingAIOverview(root);
+    if (!container) return;
+    aiContainer = container;
+    if (!aiElements.includes(container)) {
+      aiElements.push(container);
     }
-    
-    // Hide the element
-    element.style.setProperty('display', 'none', 'important');
+  });
+
+  // Filter out elements that are already shown by user
+  aiElements = aiElements.filter(el => el.dataset.gscHidden !== 'user-shown');
+
+  aiElements.forEach(el => {
+    hideElement(el, 'ai');
+    // Citations can arrive after the overview was first hidden
+    renderAISources(el);
+  });
+
+  if (aiContainer) {
+    scheduleAIArchive(aiContainer);
+  }
+}
+
+// Whether AI Overviews should be hidden on the current search tab
+function isAIHiddenOnTab(prefs) {
+  switch (engine.detectTab()) {
+    case 'all': return prefs.hideAI;
+    case 'news': return prefs.hideNewsAI;
+    case 'videos': return prefs.hideVideosTabAI;
+    default: return false;
+  }
+}
+
+// Filters for the Images, News, Videos and Shopping tabs
+// Their layouts have no organic result blocks, so the "All" heuristics don't apply
+function cleanVerticalTab(tab, prefs, roots) {
+  // AI Overviews now also appear above News and Videos results
+  if (isAIHiddenOnTab(prefs)) {
+    hideAIOverviews(roots);
+  }
+
+  // Images labelled as AI-generated
+  if (tab === 'images' && prefs.hideAIImages) {
+    findLabelledElements(AI_IMAGE_LABEL, roots).forEach(label => {
+      const card = label.closest(engine.selectors.imageResults.join(', '));
+      if (card) hideElement(card, 'aiImages');
+    });
+  }
+
+  // Sponsored products
+  if (tab === 'shopping' && prefs.hideSponsoredProducts) {
+    findElements(engine.selectors.sponsoredProducts, roots).forEach(el => hideElement(el, 'sponsored'));
+    findLabelledElements(SPONSORED_LABEL, roots).forEach(label => {
+      const card = label.closest(engine.selectors.productCards.join(', '));
+      if (card) hideElement(card, 'sponsored');
+    });
+  }
+}
+
+// Whether the filters should run on this page at all
+function isFilteringActive(prefs) {
+  return prefs.isPaid && prefs[engine.prefKey] && isTabFilteringOn();
+}
+
+// Work out the preferences for this page's search terms
+// A policy's query rules replace the user's, like any other enforced list
+function updateSearchPrefs() {
+  const rules = applyManagedPrefs(storedPrefs, managedPrefs).queryRules;
+  const searchPrefs = applyQueryRule(storedPrefs, findQueryRule(rules, getSearchQuery()), profileState);
+  currentState = applyManagedPrefs(searchPrefs, managedPrefs);
+}
+
+// A search pause ends once the tab moves on to another query
+function checkSearchPause() {
+  if (pausedQuery !== null && pausedQuery !== getSearchQuery()) {
+    pausedQuery = null;
+    chrome.runtime.sendMessage({ action: 'endSearchPause' });
+  }
+}
+
+// Get the result block a link belongs to, or null for links outside the organic results
+function getResultBlock(link) {
+  if (isExtensionUI(link) || !link.closest(engine.results)) return null;
+  return link.closest(engine.resultBlock);
+}
+
+// Hide the result block around every result link that passes a test
+function hideLinkedResults(roots, test, type) {
+  findElements([`${engine.results} a[href]`], roots).forEach(link => {
+    if (!test(link)) return;
+    const resultBlock = getResultBlock(link);
+    if (resultBlock) hideElement(resultBlock, type);
+  });
+}
+
+// Get the title link of a result block
+function getResultLink(block) {
+  const title = block.querySelector(engine.resultTitle);
+  return (title && (title.closest('a[href]') || title.querySelector('a[href]'))) || block.querySelector('a[href]');
+}
+
+// Get the site a result link belongs to, as it's written in the domain lists
+function getResultDomain(link) {
+  return getLinkHostname(link).replace(/^www\./, '');
+}
+
+// "Undo" bars shown in place of results hidden with the inline controls, keyed by result block
+const undoBars = new WeakMap();
+
+// Put an "Undo" bar in place of a result the user just hid with the inline controls
+// Results hidden by a list entry from the popup or an earlier page stay out of sight
+function insertUndoBar(element, type) {
+  const link = getResultLink(element);
+  if (!link || !element.parentNode) return;
+
+  let message;
+  let undo;
+  if (type === 'hiddenResults') {
+    const url = normalizeResultUrl(getResultUrl(link));
+    if (!inlineHidden.urls.has(url)) return;
+    message = 'Result hidden';
+    undo = () => undoResultHide(url);
   } else {
-    // Standard hiding for other elements
-    element.style.setProperty('display', 'none', 'important');
+    const domain = getResultDomain(link);
+    if (!inlineHidden.domains.has(domain)) return;
+    message = `Results from ${domain} hidden`;
+    undo = () => undoSiteHide(domain);
   }
+
+  const bar = document.createElement('div');
+  bar.className = 'gsc-result-undo';
+  bar.dataset.gscUi = 'true';
+
+  const text = document.createElement('span');
+  text.textContent = message;
+
+  const undoBtn = document.createElement('button');
+  undoBtn.className = 'gsc-result-undo-btn';
+  undoBtn.textContent = 'Undo';
+  undoBtn.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    undoBtn.disabled = true;
+    undo();
+  };
+
+  bar.appendChild(text);
+  bar.appendChild(undoBtn);
+  element.parentNode.insertBefore(bar, element);
+  undoBars.set(element, bar);
+}
+
+// "Hide this site" - hide its results right away and let the background worker save the list
+// The saved list re-runs the filters, which put the "Undo" bars back in place
+function hideSiteInline(domain) {
+  inlineHidden.domains.add(domain);
+  hideLinkedResults([document.body], link => isDomainListed(getLinkHostname(link), [domain]), 'blocklist');
+  chrome.runtime.sendMessage({ action: 'addToDomainList', domain, list: 'blockedDomains' });
+}
+
+// Take a site hidden with the inline controls off the blocklist again
+function undoSiteHide(domain) {
+  inlineHidden.domains.delete(domain);
+  chrome.runtime.sendMessage({ action: 'removeFromDomainList', domain, list: 'blockedDomains' });
+}
+
+// "Hide this result" - hide it right away and remember its URL
+function hideResultInline(result) {
+  const url = normalizeResultUrl(result.url);
+  inlineHidden.urls.add(url);
+  hiddenResults.add(url);
+  hideElement(result.block, 'hiddenResults');
+  chrome.runtime.sendMessage({ action: 'setResultHidden', url, hidden: true });
+}
+
+// Show a result hidden with the inline controls again
+function undoResultHide(url) {
+  inlineHidden.urls.delete(url);
+  hiddenResults.delete(url);
+  chrome.runtime.sendMessage({ action: 'setResultHidden', url, hidden: false });
+}
+
+// Close every open inline menu except one
+function closeResultMenus(except) {
+  document.querySelectorAll('.gsc-result-menu').forEach(menu => {
+    if (menu !== except) menu.hidden = true;
+  });
+  document.querySelectorAll('.gsc-result-toggle').forEach(toggle => {
+    if (toggle.nextElementSibling !== except) toggle.setAttribute('aria-expanded', 'false');
+  });
+}
+
+// Build the inline menu's entries
+// Built on first open, so the menu text never becomes part of the result's text
+function buildResultMenu(menu, result) {
+  const domain = getResultDomain(result.link);
+  const entries = [['Hide this result', () => hideResultInline(result)]];
+  if (domain && !isManagedPref(managedPrefs, 'blockedDomains')) entries.unshift([`Hide results from ${domain}`, () => hideSiteInline(domain)]);
+
+  entries.forEach(([label, action]) => {
+    const item = document.createElement('button');
+    item.className = 'gsc-result-menu-item';
+    item.setAttribute('role', 'menuitem');
+    item.textContent = label;
+    item.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      closeResultMenus();
+      action();
+    };
+    menu.appendChild(item);
+  });
+}
+
+// Add the inline hide control after a result's title link
+// It sits outside the link and stops its clicks, so neither the link nor the
+// engine's own result menu reacts to it
+function addResultControls(result) {
+  const { block, link } = result;
+  if (block.dataset.gscHidden === 'true' || block.querySelector('.gsc-result-controls') || !link.parentNode) return;
+
+  const controls = document.createElement('span');
+  controls.className = 'gsc-result-controls';
+  controls.dataset.gscUi = 'true';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'gsc-result-toggle';
+  toggle.textContent = '\u2298';
+  toggle.title = 'Hide this result or site';
+  toggle.setAttribute('aria-label', 'Hide this result or site');
+  toggle.setAttribute('aria-haspopup', 'menu');
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const menu = document.createElement('div');
+  menu.className = 'gsc-result-menu';
+  menu.setAttribute('role', 'menu');
+  menu.hidden = true;
+
+  toggle.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!menu.firstChild) buildResultMenu(menu, result);
+    closeResultMenus(menu);
+    menu.hidden = !menu.hidden;
+    toggle.setAttribute('aria-expanded', String(!menu.hidden));
+  };
+
+  controls.appendChild(toggle);
+  controls.appendChild(menu);
+  link.insertAdjacentElement('afterend', controls);
 }
 
 // Main cleaning function - uses global currentState
-function cleanSearch() {
+// Without roots the whole page is scanned; with roots only those subtrees
+// (the nodes added since the last mutation batch) are examined
+function cleanSearch(roots) {
   const prefs = currentState;
   
-  if (!prefs.isPaid) return;
+  if (!isFilteringActive(prefs)) return;
 
-  // AI Overview
-  if (prefs.hideAI) {
-    // Collect ALL potential AI elements
-    let aiElements = findElements(SELECTORS.aiOverview);
-    
-    // Always try to find the container via heuristics too, 
-    // as direct selectors often miss the parent wrapper
-    const aiContainer = findAIOverviewContainer();
-    if (aiContainer && !aiElements.includes(aiContainer)) {
-      aiElements.push(aiContainer);
-    }
+  const scope = roots || [document.body];
 
-    // Filter out elements that are already shown by user
-    aiElements = aiElements.filter(el => el.dataset.gscHidden !== 'user-shown');
+  const tab = engine.detectTab();
+  if (tab !== 'all') {
+    cleanVerticalTab(tab, prefs, scope);
+    return;
+  }
 
-    aiElements.forEach(el => hideElement(el, 'ai'));
+  // AI Overview
+  if (prefs.hideAI) {
+    hideAIOverviews(scope);
   }
 
   // Forums / Discussions
   if (prefs.hideForums) {
-    findElements(SELECTORS.forums).forEach(el => {
-      const resultBlock = el.closest('[data-hveid]');
-      if (resultBlock) hideElement(resultBlock);
+    hideLinkedResults(scope, isForumLink, 'forums');
+    findElements(engine.selectors.discussionSection, scope).forEach(el => hideElement(el, 'forums'));
+  }
+
+  // User blocklist - hide the whole result block for any listed domain
+  if (prefs.blockedDomains && prefs.blockedDomains.length) {
+    hideLinkedResults(scope, link => isDomainListed(getLinkHostname(link), prefs.blockedDomains), 'blocklist');
+  }
+
+  // Single results hidden with the inline controls
+  if (hiddenResults.size) {
+    findOrganicResults(scope).forEach(result => {
+      if (hiddenResults.has(normalizeResultUrl(result.url))) hideElement(result.block, 'hiddenResults');
     });
-    findElements(SELECTORS.discussionSection).forEach(el => hideElement(el));
+  }
+
+  // Text rules - match against each organic result's title, URL and snippet
+  if (prefs.textRules && prefs.textRules.length) {
+    findOrganicResults(scope).forEach(result => {
+      const rule = prefs.textRules.find(r => resultMatchesRule(result, r));
+      if (rule && hideElement(result.block, 'rules')) {
+        pageStats.rules[rule.id] = (pageStats.rules[rule.id] || 0) + 1;
+      }
+    });
+  }
+
+  // Preferred sites - move to the top and mark
+  // Only needed when results were added; boosting works on the whole result list
+  const touchesResults = scope.some(root => root.closest(engine.results) || root.querySelector(engine.results));
+  if (prefs.boostedDomains && prefs.boostedDomains.length && touchesResults) {
+    boostResults(prefs.boostedDomains);
   }
 
   // People Also Ask
   if (prefs.hidePeopleAlsoAsk) {
     // Try direct selectors first
-    findElements(SELECTORS.peopleAlsoAsk).forEach(el => {
+    findElements(engine.selectors.peopleAlsoAsk, scope).forEach(el => {
       // Walk up to find container with the heading
-      const container = el.closest('[data-hveid]');
-      if (container) hideElement(container);
-      else hideElement(el);
+      const container = el.closest(engine.sectionBlock);
+      if (container) hideElement(container, 'peopleAlsoAsk');
+      else hideElement(el, 'peopleAlsoAsk');
     });
 
     // Also find by heading text (fail-safe)
-    const headings = document.querySelectorAll('h2, h3, div[role="heading"], [aria-level]');
-    for (const heading of headings) {
+    for (const heading of findHeadings(scope)) {
       const text = (heading.innerText || heading.textContent || '').trim().toLowerCase();
       if (text === 'people also ask' || text.startsWith('people also ask')) {
-        const container = heading.closest('[data-hveid]');
-        if (container) hideElement(container);
+        const container = heading.closest(engine.sectionBlock);
+        if (container) hideElement(container, 'peopleAlsoAsk');
       }
     }
   }
 
   // Shopping
   if (prefs.hideShopping) {
-    findElements(SELECTORS.shopping).forEach(el => hideElement(el));
+    findElements(engine.selectors.shopping, scope).forEach(el => hideElement(el, 'shopping'));
   }
 
   // Videos
   if (prefs.hideVideos) {
     // First try direct selectors
-    findElements(SELECTORS.videos).forEach(el => {
+    findElements(engine.selectors.videos, scope).forEach(el => {
       // Find the containing block - walk up to the result container
       const carousel = el.closest('g-scrolling-carousel');
       if (carousel) {
         // Hide the carousel's parent container (the whole video block)
-        const container = carousel.closest('[data-hveid]') || carousel.parentElement;
-        hideElement(container);
+        const container = carousel.closest(engine.sectionBlock) || carousel.parentElement;
+        hideElement(container, 'videos');
       } else {
-        const container = el.closest('[data-hveid]');
-        if (container) hideElement(container);
-        else hideElement(el);
+        const container = el.closest(engine.sectionBlock);
+        if (container) hideElement(container, 'videos');
+        else hideElement(el, 'videos');
       }
     });
 
     // Also find video sections by heading text (fail-safe)
-    const headings = document.querySelectorAll('h2, h3, div[role="heading"], [aria-level]');
-    for (const heading of headings) {
+    for (const heading of findHeadings(scope)) {
       const text = (heading.innerText || heading.textContent || '').toLowerCase();
       if (text.includes('video') || text.includes('watch')) {
-        const container = heading.closest('[data-hveid]');
-        if (container) hideElement(container);
+        const container = heading.closest(engine.sectionBlock);
+        if (container) hideElement(container, 'videos');
       }
     }
   }
 
   // Sponsored / Ads
   if (prefs.hideSponsored) {
-    findElements(SELECTORS.sponsored).forEach(el => hideElement(el));
+    findElements(engine.selectors.sponsored, scope).forEach(el => hideElement(el, 'sponsored'));
   }
+
+  // Inline hide controls on the results that are still showing
+  if (prefs.showResultControls) {
+    findOrganicResults(scope).forEach(addResultControls);
+  }
+}
+
+// Look for an AI answer that only became recognisable after its content streamed in
+function checkLateAIAnswer() {
+  if (!isFilteringActive(currentState) || !isAIHiddenOnTab(currentState)) return;
+
+  const aiContainer = engine.findAIAnswer();
+  if (aiContainer && aiContainer.dataset.gscHidden !== 'true' && aiContainer.dataset.gscHidden !== 'user-shown') {
+    hideElement(aiContainer, 'ai');
+    scheduleAIArchive(aiContainer);
+  }
+}
+
+// Check for late AI answers while the page keeps changing, then go idle
+// Idle and background tabs run no timers; new content or a navigation starts the checks again
+function watchUntilSettled() {
+  lastActivity = Date.now();
+  if (settleTimer || document.hidden) return;
+
+  const tick = () => {
+    checkLateAIAnswer();
+    if (Date.now() - lastActivity >= SETTLE_QUIET_TIME) {
+      settleTimer = null;
+      return;
+    }
+    settleTimer = setTimeout(tick, SETTLE_CHECK_INTERVAL);
+  };
+  settleTimer = setTimeout(tick, SETTLE_CHECK_INTERVAL);
+}
+
+// Stop the settle checks, e.g. while the tab is in the background
+function stopSettleChecks() {
+  clearTimeout(settleTimer);
+  settleTimer = null;
+}
+
+// A new search replaced the page content without a page load
+function handleNavigation() {
+  if (location.href === lastUrl) return;
+  lastUrl = location.href;
+  checkSearchPause();
+  updateSearchPrefs();
+
+  // Reset hidden states for new search - removing buttons and resetting flags
+  resetFilteredState();
+  cleanSearch();
+  watchUntilSettled();
 }
 
 // Initialize
 function init() {
-  chrome.storage.sync.get(DEFAULT_PREFS, (prefs) => {
-    currentState = prefs;
-    
+  const localLoaded = new Promise(resolve => {
+    chrome.storage.local.get({ hiddenResults: [], ...PROFILE_STORAGE_DEFAULTS }, resolve);
+  });
+
+  Promise.all([loadPrefs(), tabStateLoaded, localLoaded, loadManagedPrefs()]).then(([prefs, tabState, local, managed]) => {
+    storedPrefs = prefs;
+    managedPrefs = managed;
+    profileState = { profiles: local.profiles, activeProfile: local.activeProfile };
+    hiddenResults = new Set(local.hiddenResults);
+    tabFilteringEnabled = !tabState || tabState.filteringEnabled;
+    pausedQuery = tabState ? tabState.pausedQuery : null;
+    checkSearchPause();
+    updateSearchPrefs();
+
     if (!currentState.isPaid) {
       console.log('[Google Search Cleaner] Payment required to activate filters');
       return;
@@ -402,82 +1367,183 @@ function init() {
 
     // Initial clean
     cleanSearch();
+    watchUntilSettled();
+
+    // Report even when nothing was hidden, so a paused tab shows it on the badge
+    scheduleBadgeUpdate();
 
     // Watch for dynamic content changes (Google loads content via AJAX)
-    // Debounced to prevent performance issues
-    const observer = new MutationObserver(debounce(() => {
-      cleanSearch();
-    }, 100));
+    // Only the added subtrees are scanned, in debounced batches
+    const scanAddedContent = debounce(() => {
+      const roots = takePendingRoots();
+      if (roots.length) cleanSearch(roots);
+    }, 100);
+
+    const observer = new MutationObserver((mutations) => {
+      collectAddedRoots(mutations);
+      scanAddedContent();
+      watchUntilSettled();
+    });
 
     observer.observe(document.body, {
       childList: true,
       subtree: true
     });
 
-    // Handle client-side navigation (Google uses History API for new searches)
-    let lastUrl = location.href;
-
-    // Check for URL changes periodically (catches all navigation types)
-    setInterval(() => {
-      if (location.href !== lastUrl) {
-        lastUrl = location.href;
-        // Reset hidden states for new search - removing buttons and resetting flags
-        document.querySelectorAll('.gsc-show-ai-btn').forEach(btn => btn.remove());
-        document.querySelectorAll('[data-gsc-hidden]').forEach(el => {
-          el.dataset.gscHidden = 'false';
-          el.style.display = ''; 
-        });
-        
-        // Multiple delays to catch lazy-loaded content
-        setTimeout(cleanSearch, 100);
-        setTimeout(cleanSearch, 300);
-        setTimeout(cleanSearch, 500);
-        setTimeout(cleanSearch, 1000);
-      }
-    }, 200);
-
-    // Also listen for popstate (back/forward navigation)
-    window.addEventListener('popstate', () => {
-      setTimeout(cleanSearch, 100);
+    // Client-side navigation: History API calls (via navHooks.js),
+    // back/forward, hash changes and pages restored from the back/forward cache
+    window.addEventListener(NAVIGATION_EVENT, handleNavigation);
+    window.addEventListener('popstate', handleNavigation);
+    window.addEventListener('hashchange', handleNavigation);
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) handleNavigation();
     });
 
-    // Aggressive AI Overview check - runs periodically because AI Overview loads very late
-    setInterval(() => {
-      if (currentState.isPaid && currentState.hideAI) {
-        // We force a check here
-        const aiContainer = findAIOverviewContainer();
-        if (aiContainer && aiContainer.dataset.gscHidden !== 'true' && aiContainer.dataset.gscHidden !== 'user-shown') {
-          hideElement(aiContainer, 'ai');
-        }
+    // Background tabs don't poll; catch up when the tab is shown again
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        stopSettleChecks();
+      } else {
+        handleNavigation();
+        watchUntilSettled();
       }
-    }, 1000); 
+    });
   });
 }
 
 // Listen for preference changes
+onPrefsChanged((values) => {
+  storedPrefs = { ...storedPrefs, ...values };
+  updateSearchPrefs(); // Update global state
+
+  // Reset hidden states completely
+  resetFilteredState();
+
+  // Only apply filters if paid
+  if (currentState.isPaid) {
+    cleanSearch();
+    watchUntilSettled();
+  }
+});
+
+// Listen for changes to the profiles, the policy and results hidden one at a time
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'sync') {
-    chrome.storage.sync.get(DEFAULT_PREFS, (prefs) => {
-      currentState = prefs; // Update global state
-      
-      // Reset hidden states completely
-      document.querySelectorAll('.gsc-show-ai-btn').forEach(btn => btn.remove());
-      document.querySelectorAll('[data-gsc-hidden]').forEach(el => {
-        el.style.display = '';
-        el.dataset.gscHidden = 'false';
-      });
+  // Only searches whose query rule switches to a profile depend on the stored profiles
+  if (namespace === 'local' && (changes.profiles || changes.activeProfile)) {
+    chrome.storage.local.get(PROFILE_STORAGE_DEFAULTS, (state) => {
+      profileState = state;
+      const rule = findQueryRule(applyManagedPrefs(storedPrefs, managedPrefs).queryRules, getSearchQuery());
+      if (!rule || !rule.profile) return;
 
-      // Only apply filters if paid
+      updateSearchPrefs();
+      resetFilteredState();
       if (currentState.isPaid) {
-        // Run immediately and with delays to catch AI Overview
         cleanSearch();
-        setTimeout(cleanSearch, 100);
-        setTimeout(cleanSearch, 300);
+        watchUntilSettled();
       }
     });
   }
+
+  // The administrator changed the enforced settings
+  if (namespace === 'managed') {
+    loadManagedPrefs().then(managed => {
+      managedPrefs = managed;
+      updateSearchPrefs();
+      resetFilteredState();
+      if (currentState.isPaid) {
+        cleanSearch();
+        watchUntilSettled();
+      }
+    });
+  }
+
+  if (namespace === 'local' && changes.hiddenResults) {
+    hiddenResults = new Set(changes.hiddenResults.newValue || []);
+    resetFilteredState();
+    if (currentState.isPaid) {
+      cleanSearch();
+      watchUntilSettled();
+    }
+  }
 });
 
+// Answer questions from the popup about this page
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getPageStats') {
+    sendResponse(pageStats);
+  }
+
+  if (request.action === 'getHiddenItems') {
+    sendResponse(listHiddenItems());
+  }
+
+  if (request.action === 'setItemRevealed') {
+    const item = hiddenItems.find(entry => entry.id === request.id);
+    if (item && request.revealed) {
+      revealElement(item.element);
+    } else if (item) {
+      rehideElement(item.element);
+    }
+    sendResponse(listHiddenItems());
+  }
+
+  if (request.action === 'revealAllHidden') {
+    revealHiddenItems();
+    sendResponse(listHiddenItems());
+  }
+
+  // "Always hide/boost results from this site" - work out the site from the result that was
+  // right-clicked, hide its results right away and let the background worker save the list
+  if (request.action === 'contextMenuSite') {
+    const link = contextMenuLink;
+    const hostname = link && getResultBlock(link) ? getLinkHostname(link) : '';
+    const domain = hostname.replace(/^www\./, '');
+
+    if (domain && request.list === 'blockedDomains' && isFilteringActive(currentState)) {
+      hideLinkedResults([document.body], resultLink => isDomainListed(getLinkHostname(resultLink), [domain]), 'blocklist');
+    }
+    sendResponse({ domain });
+  }
+
+  // Keyboard shortcuts, routed here by the background worker
+  if (request.action === 'runCommand') {
+    revealHiddenItems(request.command === 'reveal-ai-overview' ? 'ai' : null);
+    sendResponse({ ok: true });
+  }
+
+  // Filtering switched on or off, or paused for a search, in this tab
+  // (tabFilteringEnabled and pausedQuery were updated by earlyStyles.js)
+  if (request.action === 'setTabFiltering') {
+    if (isTabFilteringOn()) {
+      cleanSearch();
+      watchUntilSettled();
+      scheduleBadgeUpdate();
+    } else {
+      resetFilteredState();
+    }
+    sendResponse({ ok: true });
+  }
+
+  // "Pause for this search" - the background worker keeps the query for reloads
+  if (request.action === 'getSearchQuery') {
+    sendResponse({ query: getSearchQuery() });
+  }
+});
+
+// Remember which link the context menu was opened on
+document.addEventListener('contextmenu', (e) => {
+  contextMenuLink = e.target instanceof Element ? e.target.closest('a[href]') : null;
+}, true);
+
+// Close the inline hide menus on a click elsewhere or Escape
+document.addEventListener('click', () => closeResultMenus());
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeResultMenus();
+});
+
+// Don't lose a batch that was still waiting when the user leaves the page
+window.addEventListener('pagehide', sendStatsReport);
+
 // Run when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
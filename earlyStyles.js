@@ -0,0 +1,125 @@
+// Google Search Cleaner - CSS-First Hiding
+// Runs at document_start, before the search page draws, and hides every block that a
+// plain selector can describe with a generated stylesheet. content.js still runs at
+// document_end for the heuristics CSS can't express (headings, link domains, text rules)
+// and marks what it finds, so the "See what AI said" controls and counts keep working.
+
+// Window event fired by navHooks.js when the page calls history.pushState/replaceState
+// (content.js listens for it too)
+const NAVIGATION_EVENT = 'gsc-navigate';
+
+// Id of the injected <style> element
+const EARLY_STYLE_ID = 'gsc-early-styles';
+
+// Whether filtering is on for this tab (a keyboard shortcut or a pause can switch it off); content.js shares it
+let tabFilteringEnabled = true;
+
+// The query filtering is paused for in this tab ("Pause for this search"), or null
+let pausedQuery = null;
+
+// This tab's state from the background worker, requested as early as possible
+// The stylesheet and content.js's first scan both wait for it, so a paused tab never hides anything
+const tabStateLoaded = new Promise((resolve) => {
+  chrome.runtime.sendMessage({ action: 'getTabState' }, (state) => {
+    const tabState = chrome.runtime.lastError ? null : state;
+    if (tabState) {
+      tabFilteringEnabled = tabState.filteringEnabled;
+      pausedQuery = tabState.pausedQuery;
+    }
+    resolve(tabState);
+  });
+});
+
+// Whether this tab should be filtered right now, given its pauses
+function isTabFilteringOn() {
+  return tabFilteringEnabled && (pausedQuery === null || pausedQuery !== getSearchQuery());
+}
+
+// Categories whose selectors match exactly the block content.js would hide
+// People Also Ask and video selectors only find a piece of the block, and the
+// content script walks up to the real container, so those stay JS-only
+function getEarlyStyleSelectors(engine, prefs) {
+  const { selectors } = engine;
+  const tab = engine.detectTab();
+  const found = [];
+
+  if (tab === 'all') {
+    if (prefs.hideAI) found.push(...selectors.aiOverview);
+    if (prefs.hideForums) found.push(...selectors.discussionSection);
+    if (prefs.hideShopping) found.push(...selectors.shopping);
+    if (prefs.hideSponsored) found.push(...selectors.sponsored);
+  } else if ((tab === 'news' && prefs.hideNewsAI) || (tab === 'videos' && prefs.hideVideosTabAI)) {
+    found.push(...selectors.aiOverview);
+  } else if (tab === 'shopping' && prefs.hideSponsoredProducts) {
+    found.push(...selectors.sponsoredProducts);
+  }
+  return found;
+}
+
+// Build the stylesheet for the current page
+// Blocks the user chose to show again are left alone
+function buildEarlyStylesheet(engine, prefs) {
+  if (!prefs.isPaid || !prefs.cssFirstMode || !prefs[engine.prefKey] || !isTabFilteringOn()) return '';
+
+  return getEarlyStyleSelectors(engine, prefs)
+    // One rule per selector, so a selector the browser doesn't support can't void the others
+    .map(selector => `${selector}:not([data-gsc-hidden="user-shown"]) { display: none !important; }`)
+    .join('\n');
+}
+
+// Create, update or remove the injected stylesheet
+function applyEarlyStyles(prefs) {
+  const css = buildEarlyStylesheet(detectSearchEngine(), prefs);
+  let style = document.getElementById(EARLY_STYLE_ID);
+
+  if (!css) {
+    if (style) style.remove();
+    return;
+  }
+
+  if (!style) {
+    style = document.createElement('style');
+    style.id = EARLY_STYLE_ID;
+    style.dataset.gscUi = 'true';
+    // <head> doesn't exist yet at document_start
+    (document.head || document.documentElement).appendChild(style);
+  }
+  if (style.textContent !== css) {
+    style.textContent = css;
+  }
+}
+
+// Regenerate the stylesheet from stored preferences, the rule matching this search and
+// any settings an administrator enforces
+function refreshEarlyStyles() {
+  Promise.all([
+    loadPrefs(),
+    chrome.storage.local.get(PROFILE_STORAGE_DEFAULTS),
+    loadManagedPrefs(),
+    tabStateLoaded
+  ]).then(([prefs, profileState, managed]) => {
+    const rules = applyManagedPrefs(prefs, managed).queryRules;
+    const searchPrefs = applyQueryRule(prefs, findQueryRule(rules, getSearchQuery()), profileState);
+    applyEarlyStyles(applyManagedPrefs(searchPrefs, managed));
+  });
+}
+
+refreshEarlyStyles();
+
+// The stylesheet depends on the preferences, the profiles query rules can switch to,
+// the policy, and the search terms and tab, which change without a page load
+onPrefsChanged(() => refreshEarlyStyles());
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'managed' || (namespace === 'local' && changes.profiles)) refreshEarlyStyles();
+});
+window.addEventListener(NAVIGATION_EVENT, refreshEarlyStyles);
+window.addEventListener('popstate', refreshEarlyStyles);
+
+// Filtering switched on or off, or paused for a search, in this tab
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === 'setTabFiltering') {
+    tabFilteringEnabled = request.enabled;
+    pausedQuery = request.pausedQuery;
+    refreshEarlyStyles();
+  }
+});
@@ -0,0 +1,376 @@
+// Google Search Cleaner - Search Engine Adapters
+// Each adapter describes one engine's result layout so the content script can apply
+// the same categories (AI answer, forums, ads, videos, shopping) everywhere
+
+// Search tabs by their tbm= (legacy) and udm= parameter values
+// Anything else (Web, Forums, Books, ...) uses the "All" filters
+const SEARCH_TABS = {
+  images: { tbm: 'isch', udm: '2' },
+  news: { tbm: 'nws', udm: '12' },
+  videos: { tbm: 'vid', udm: '7' },
+  shopping: { tbm: 'shop', udm: '28' },
+};
+
+// Work out which search tab is showing from the URL
+function detectSearchTab() {
+  const params = new URLSearchParams(location.search);
+  const tbm = params.get('tbm');
+  const udm = params.get('udm');
+
+  for (const tab of Object.keys(SEARCH_TABS)) {
+    if ((tbm && tbm === SEARCH_TABS[tab].tbm) || (udm && udm === SEARCH_TABS[tab].udm)) {
+      return tab;
+    }
+  }
+  return 'all';
+}
+
+// Find AI Overview container using stable semantic selectors
+// root limits the search to a subtree that was just added to the page
+function findAIOverviewContainer(root = document.body) {
+  // Method 1: Data Attributes (Most Reliable)
+  // Google uses data- attributes for internal tracking that are harder to change
+  const dataSelectors = [
+    '[data-async-type="du_kg"]',
+    '[data-attrid="wa:/description"]',
+    '[data-async-context*="ai_overview"]',
+  ];
+
+  for (const selector of dataSelectors) {
+    const container = root.closest(selector) || root.querySelector(selector);
+    if (container) {
+      return container;
+    }
+  }
+
+  // Method 2: Shadow DOM Piercing
+  // In some regions, Google puts AI Overview inside Shadow DOM
+  const shadowHosts = queryWithin(root, 'search-as-you-type, ai-overview-container, [data-component]');
+  for (const host of shadowHosts) {
+    if (host.shadowRoot) {
+      const innerContent = host.shadowRoot.querySelector('[data-async-type="du_kg"], .container');
+      if (innerContent) {
+        return host; // Hide the host element
+      }
+    }
+  }
+
+  // Method 3: Heading Text Search (Fail-Safe)
+  // Find "AI Overview" text and traverse up to container
+  const headings = findHeadings([root], 'h1, h2, h3, div[role="heading"], [aria-level]');
+  for (const heading of headings) {
+    const text = (heading.innerText || heading.textContent || '').trim().toLowerCase();
+    if (text === 'ai overview' || text.startsWith('ai overview')) {
+      // Traverse up to find the main container using stable attributes
+      let container = heading.closest('[data-async-context], [data-hveid], [data-ved]');
+      if (container) {
+        // Keep going up until we find the outermost AI container
+        // but stop at main search results boundaries
+        let parent = container;
+        while (parent && parent.parentElement) {
+          const parentParent = parent.parentElement;
+          // Stop if we hit the main results container
+          if (parentParent.id === 'rso' || parentParent.id === 'center_col' || parentParent.id === 'rcnt') {
+            return parent;
+          }
+          // Check if parent also has data attributes (might be the actual container)
+          if (parentParent.hasAttribute('data-async-context') || parentParent.hasAttribute('data-hveid')) {
+            parent = parentParent;
+          } else {
+            break;
+          }
+        }
+        return parent || container;
+      }
+
+      // Fallback: just go up a fixed number of levels
+      let element = heading;
+      for (let i = 0; i < 6 && element.parentElement; i++) {
+        element = element.parentElement;
+        // Stop if we find a container with data attributes
+        if (element.hasAttribute('data-hveid') || element.hasAttribute('data-async-context')) {
+          return element;
+        }
+      }
+      return element;
+    }
+  }
+
+  // Method 4: TreeWalker text search (most thorough fail-safe)
+  // Find any text node containing "AI Overview" and walk up
+  const walker = document.createTreeWalker(
+    root,
+    NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: (node) => {
+        const text = node.textContent.trim();
+        if (text === 'AI Overview') {
+          return NodeFilter.FILTER_ACCEPT;
+        }
+        return NodeFilter.FILTER_SKIP;
+      }
+    }
+  );
+
+  const textNode = walker.nextNode();
+  if (textNode && textNode.parentElement) {
+    let element = textNode.parentElement;
+    // Walk up to find a container with data attributes
+    for (let i = 0; i < 10 && element; i++) {
+      if (element.hasAttribute('data-hveid') || element.hasAttribute('data-async-context')) {
+        // Keep going up to find the outermost container
+        let parent = element;
+        while (parent.parentElement) {
+          const pp = parent.parentElement;
+          if (pp.id === 'rso' || pp.id === 'center_col' || pp.id === 'rcnt') {
+            return parent;
+          }
+          if (pp.hasAttribute('data-hveid') || pp.hasAttribute('data-async-context')) {
+            parent = pp;
+          } else {
+            break;
+          }
+        }
+        return parent;
+      }
+      element = element.parentElement;
+    }
+  }
+
+  return null;
+}
+
+// Find an AI answer by its heading text on engines without stable markers
+// Walks up from the heading to the engine's section block
+function findAIAnswerByLabel(labelPattern, sectionSelector, root = document.body) {
+  const headings = findHeadings([root], 'h1, h2, h3, h4, [role="heading"], [aria-level]');
+  for (const heading of headings) {
+    const text = (heading.innerText || heading.textContent || '').trim();
+    if (text.length < 60 && labelPattern.test(text) && !isExtensionUI(heading)) {
+      const container = heading.closest(sectionSelector);
+      if (container) return container;
+    }
+  }
+  return null;
+}
+
+// Decode Bing's /ck/a?u=a1<base64url> click-tracking links
+function decodeBingUrl(url) {
+  const encoded = url.searchParams.get('u');
+  if (url.pathname !== '/ck/a' || !encoded || !encoded.startsWith('a1')) return null;
+  try {
+    return atob(encoded.slice(2).replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Forum and Q&A sites hidden by the Forums category on every engine
+const FORUM_DOMAINS = ['*.reddit.com', '*.quora.com', '*.stackexchange.com', '*.stackoverflow.com'];
+
+// Adapter fields:
+//   prefKey            - per-engine enable switch in preferences
+//   hostPattern        - hostnames the adapter handles
+//   results            - container of the organic results
+//   resultBlock        - one organic result (what the blocklist, rules and boosting act on)
+//   resultTitle        - title element inside a result (alternatives may be comma-separated)
+//   titleHoldsLink     - the result link is inside the title, rather than wrapping it
+//   resultSnippet      - snippet element inside a result
+//   sectionBlock       - block to hide when a heading or widget matches (videos, People Also Ask, ...)
+//   protectedSelectors - header / search box areas that must never be hidden
+//   selectors          - per-category selectors, same keys on every engine
+//   isOwnHost          - links to the engine itself (not citations or results)
+//   unwrapUrl          - destination of a click-tracking link, or null
+//   findAIAnswer       - locate the AI answer container, optionally inside a root element
+//   detectTab          - current search tab ('all' when the engine has no verticals)
+const SEARCH_ENGINES = {
+  google: {
+    id: 'google',
+    name: 'Google',
+    prefKey: 'engineGoogle',
+    hostPattern: /(^|\.)google\.[a-z]{2,3}(\.[a-z]{2})?$/,
+    results: '#rso',
+    resultBlock: '[data-hveid]',
+    resultTitle: 'h3',
+    resultSnippet: '[data-sncf], .VwiC3b, [style*="-webkit-line-clamp"]',
+    sectionBlock: '[data-hveid]',
+    protectedSelectors: [
+      '#gb',           // Google header bar
+      '#searchform',   // Search form
+      '#top_nav',
+      '.sfbg',         // Search form background
+    ],
+    selectors: {
+      // AI Overview - using stable data attributes and semantic markers
+      aiOverview: [
+        '[data-async-type="du_kg"]',           // Most reliable - data attribute for AI hub
+        '[data-attrid="wa:/description"]',     // Alternative data attribute
+        '#arc-srp_1',                          // Legacy ID (less reliable)
+      ],
+
+      // Discussion section block
+      discussionSection: [
+        '[data-attrid*="discussion"]',
+        'div[jsname="yEVEwb"]',
+      ],
+
+      // People Also Ask - target the whole container
+      peopleAlsoAsk: [
+        '[data-sgrd="true"]',
+        '[data-initq]',                    // Data attribute for question blocks
+      ],
+
+      // Shopping Results
+      shopping: [
+        '.commercial-unit-desktop-top',
+        '.cu-container',
+        '.pla-unit-container',
+        '.sh-dgr__grid-result',
+        '.sh-pr__product-results',
+        '#rso [data-attrid*="kc:/shopping"]',
+      ],
+
+      // Video Carousels - using semantic selectors
+      videos: [
+        'video-voyager',                                    // Custom element for video
+        'g-scrolling-carousel:has(a[href*="youtube.com"])', // Carousel containing YouTube links
+        'g-scrolling-carousel:has(a[href*="video"])',       // Carousel with video links
+        '[data-attrid*="video"]',                           // Data attribute for video blocks
+        '#rso [data-hveid] a[href*="youtube.com"]',         // YouTube links in results
+      ],
+
+      // Sponsored / Ads
+      sponsored: [
+        '.ads-fr',
+        '#tads',
+        '#tadsb',
+        '.uEierd',
+        'div[data-text-ad="1"]',
+        '#rso > div[data-sokoban-container]',
+      ],
+
+      // Image cards on the Images tab
+      imageResults: [
+        '[data-lpage]',
+        '[data-ri]',
+        '.isv-r',
+        'div[data-attrid="images universal"] > div',
+      ],
+
+      // Sponsored product units on the Shopping tab
+      sponsoredProducts: [
+        '.commercial-unit-desktop-top',
+        '.pla-unit-container',
+        '.sh-sr__shop-result-group[data-sh-sr*="sponsored"]',
+        '[data-text-ad="1"]',
+      ],
+
+      // Product cards on the Shopping tab
+      productCards: [
+        '.sh-dgr__grid-result',
+        '.sh-dlr__list-result',
+        '.sh-np__click-target',
+        '[data-docid]',
+      ]
+    },
+    isOwnHost: (host) => /(^|\.)google\.[a-z.]+$/.test(host),
+    unwrapUrl: (url) => url.pathname === '/url' ? (url.searchParams.get('q') || url.searchParams.get('url')) : null,
+    findAIAnswer: findAIOverviewContainer,
+    detectTab: detectSearchTab,
+  },
+
+  bing: {
+    id: 'bing',
+    name: 'Bing',
+    prefKey: 'engineBing',
+    hostPattern: /(^|\.)bing\.com$/,
+    results: '#b_results',
+    resultBlock: 'li.b_algo',
+    resultTitle: 'h2',
+    titleHoldsLink: true,
+    resultSnippet: '.b_caption p, .b_lineclamp2, .b_lineclamp3',
+    sectionBlock: '#b_results > li, #b_context > li',
+    protectedSelectors: ['#b_header', '#sb_form'],
+    selectors: {
+      // Copilot answers
+      aiOverview: ['#b_copilot_answer', '.b_copilot_answer', 'cib-serp', '[data-tag="copilot"]', '.b_genserp_container'],
+      discussionSection: ['.b_forumans', '[data-tag="Forums"]'],
+      peopleAlsoAsk: ['#relatedQnAListDisplay', '.df_alaskcarousel', '[data-tag="RelatedQnA.Item"]'],
+      shopping: ['.b_shopanswer', '.br-pa', '#productAds', '.pa_carousel'],
+      videos: ['.b_vidAns', '#b_results > li .vsa', '#b_results li.b_algo a[href*="youtube.com"]'],
+      sponsored: ['#b_results > li.b_ad', '.b_adTop', '.b_adBottom', '#b_context .b_ad'],
+      imageResults: [],
+      sponsoredProducts: [],
+      productCards: [],
+    },
+    isOwnHost: (host) => /(^|\.)(bing|microsoft|msn)\.com$/.test(host),
+    unwrapUrl: decodeBingUrl,
+    findAIAnswer: (root) => findAIAnswerByLabel(/^(copilot( answer)?|generated by (ai|copilot))\b/i, '#b_results > li, #b_context > li, #b_pole', root),
+    detectTab: () => 'all',
+  },
+
+  duckduckgo: {
+    id: 'duckduckgo',
+    name: 'DuckDuckGo',
+    prefKey: 'engineDuckDuckGo',
+    hostPattern: /(^|\.)duckduckgo\.com$/,
+    results: '.react-results--main',
+    resultBlock: 'li[data-layout="organic"], article[data-testid="result"]',
+    resultTitle: 'h2',
+    titleHoldsLink: true,
+    resultSnippet: '[data-result="snippet"]',
+    sectionBlock: '.react-results--main > li, [data-area="mainline"] > li',
+    protectedSelectors: ['#header_wrapper', '.header-wrap', '#search_form'],
+    selectors: {
+      // AI Assist / Search Assist answers
+      aiOverview: ['[data-testid="ai-assist"]', '[data-layout="duckassist"]', '.js-duckassist', '[data-testid="duckassist"]'],
+      discussionSection: [],
+      peopleAlsoAsk: ['li[data-layout="related_searches"] [data-testid="related-questions"]'],
+      shopping: ['li[data-layout="products"]', '.module--carousel-products'],
+      videos: ['li[data-layout="videos"]', '.module--carousel-videos'],
+      sponsored: ['li[data-layout="ad"]', '[data-testid="ad"]', '.result--ad'],
+      imageResults: [],
+      sponsoredProducts: [],
+      productCards: [],
+    },
+    isOwnHost: (host) => /(^|\.)duckduckgo\.com$/.test(host),
+    unwrapUrl: (url) => url.pathname === '/l/' ? url.searchParams.get('uddg') : null,
+    findAIAnswer: (root) => findAIAnswerByLabel(/^(search assist|duckassist|ai[- ]assist)\b/i, '.react-results--main > li, [data-area="mainline"] > li, [data-area="sidebar"] > div', root),
+    detectTab: () => 'all',
+  },
+
+  brave: {
+    id: 'brave',
+    name: 'Brave Search',
+    prefKey: 'engineBrave',
+    hostPattern: /^search\.brave\.com$/,
+    results: '#results',
+    resultBlock: '.snippet[data-type="web"]',
+    resultTitle: '.title, .snippet-title',
+    resultSnippet: '.snippet-description, .generic-snippet .content',
+    sectionBlock: '#results > div, #results > section, .snippet',
+    protectedSelectors: ['#searchform', '.navbar', '#search-tabs'],
+    selectors: {
+      // Answer with AI / Summarizer
+      aiOverview: ['#summarizer', '.summarizer', '[data-type="summarizer"]', '#chatllm'],
+      discussionSection: ['#discussions', '[data-type="discussions"]'],
+      peopleAlsoAsk: ['#faq', '[data-type="faq"]'],
+      shopping: ['#products', '[data-type="products"]'],
+      videos: ['#video-carousel', '[data-type="videos"]'],
+      sponsored: ['#ad-results', '[data-type="ad"]', '.ad-result'],
+      imageResults: [],
+      sponsoredProducts: [],
+      productCards: [],
+    },
+    isOwnHost: (host) => /(^|\.)brave\.com$/.test(host),
+    unwrapUrl: () => null,
+    findAIAnswer: (root) => findAIAnswerByLabel(/^(answer with ai|ai answer|summarizer)\b/i, '#results > div, #results > section', root),
+    detectTab: () => 'all',
+  },
+};
+
+// Pick the adapter for the page the content script runs on
+function detectSearchEngine() {
+  const host = location.hostname;
+  return Object.values(SEARCH_ENGINES).find(engine => engine.hostPattern.test(host)) || SEARCH_ENGINES.google;
+}
@@ -0,0 +1,239 @@
+// Google Search Cleaner - AI Overview History Page
+
+// All archived overviews, newest first
+let archive = [];
+
+// Entries matching the current filters
+let shownEntries = [];
+
+// Expanded entries, kept open across re-renders
+const openEntries = new Set();
+
+// Format a capture timestamp for display
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Get all searchable text of an entry
+function getEntryText(entry) {
+  const parts = [entry.query];
+  entry.sections.forEach(section => {
+    parts.push(section.heading);
+    section.blocks.forEach(block => parts.push(block.text));
+  });
+  entry.citations.forEach(citation => parts.push(citation.title, citation.url));
+  return parts.join('\n').toLowerCase();
+}
+
+// Check an entry against the search box and date range
+function entryMatches(entry, search, from, to) {
+  if (from && entry.capturedAt < from) return false;
+  if (to && entry.capturedAt >= to) return false;
+  if (search && !getEntryText(entry).includes(search)) return false;
+  return true;
+}
+
+// Render an entry's sections as headings, paragraphs and lists
+function renderSections(container, sections) {
+  sections.forEach(section => {
+    if (section.heading) {
+      const heading = document.createElement('div');
+      heading.className = 'entry-heading';
+      heading.textContent = section.heading;
+      container.appendChild(heading);
+    }
+
+    let list = null;
+    section.blocks.forEach(block => {
+      if (block.type === 'bullet') {
+        if (!list) {
+          list = document.createElement('ul');
+          container.appendChild(list);
+        }
+        const item = document.createElement('li');
+        item.textContent = block.text;
+        list.appendChild(item);
+      } else {
+        list = null;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = block.text;
+        container.appendChild(paragraph);
+      }
+    });
+  });
+}
+
+// Render one archived overview
+function renderEntry(entry) {
+  const details = document.createElement('details');
+  details.className = 'entry';
+  details.open = openEntries.has(entry.id);
+  details.addEventListener('toggle', () => {
+    if (details.open) openEntries.add(entry.id);
+    else openEntries.delete(entry.id);
+  });
+
+  const summary = document.createElement('summary');
+
+  const query = document.createElement('span');
+  query.className = 'entry-query';
+  query.textContent = entry.query || '(no query)';
+
+  const meta = document.createElement('span');
+  meta.className = 'entry-meta';
+  meta.textContent = formatDate(entry.capturedAt);
+
+  summary.appendChild(query);
+  summary.appendChild(meta);
+  details.appendChild(summary);
+
+  const body = document.createElement('div');
+  body.className = 'entry-body';
+  renderSections(body, entry.sections);
+
+  if (entry.truncated) {
+    const note = document.createElement('p');
+    note.className = 'entry-note';
+    note.textContent = 'This overview was too long and has been shortened.';
+    body.appendChild(note);
+  }
+
+  if (entry.citations.length) {
+    const sources = document.createElement('div');
+    sources.className = 'entry-sources';
+    sources.textContent = 'Sources: ';
+    entry.citations.forEach((citation, i) => {
+      if (i > 0) sources.appendChild(document.createTextNode(' · '));
+      const link = document.createElement('a');
+      link.href = citation.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = citation.title;
+      link.title = citation.url;
+      sources.appendChild(link);
+    });
+    body.appendChild(sources);
+  }
+
+  body.appendChild(createExportActions(() => entry));
+
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+
+  const openSearch = document.createElement('a');
+  openSearch.className = 'btn';
+  openSearch.href = entry.url;
+  openSearch.target = '_blank';
+  openSearch.rel = 'noopener noreferrer';
+  openSearch.textContent = 'Open search';
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'btn btn-danger';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => deleteEntries([entry.id]));
+
+  actions.appendChild(openSearch);
+  actions.appendChild(deleteBtn);
+  body.appendChild(actions);
+
+  details.appendChild(body);
+  return details;
+}
+
+// Read a date input as a local-midnight timestamp (plus days)
+function readDate(inputId, addDays = 0) {
+  const value = document.getElementById(inputId).value;
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + addDays).getTime();
+}
+
+// Render the entries matching the current filters
+function render() {
+  const search = document.getElementById('search').value.trim().toLowerCase();
+  const from = readDate('date-from');
+  const to = readDate('date-to', 1); // inclusive of the whole "to" day
+
+  shownEntries = archive.filter(entry => entryMatches(entry, search, from, to));
+
+  const container = document.getElementById('entries');
+  container.textContent = '';
+
+  shownEntries.forEach(entry => container.appendChild(renderEntry(entry)));
+
+  if (!shownEntries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = archive.length ? 'No overviews match these filters' : 'No AI Overviews saved yet';
+    container.appendChild(empty);
+  }
+
+  const summaryText = document.getElementById('summary-text');
+  summaryText.textContent = shownEntries.length === archive.length
+    ? `${archive.length} saved overview${archive.length === 1 ? '' : 's'}`
+    : `Showing ${shownEntries.length} of ${archive.length}`;
+
+  document.getElementById('delete-shown').disabled = !shownEntries.length;
+}
+
+// Delete entries through the background worker, which owns archive writes
+function deleteEntries(ids) {
+  chrome.runtime.sendMessage({ action: 'deleteArchiveEntries', ids });
+}
+
+// Load the archive from storage
+function loadArchive() {
+  chrome.storage.local.get({ aiArchive: [] }, ({ aiArchive }) => {
+    archive = aiArchive;
+    render();
+  });
+}
+
+// Initialize history page
+function init() {
+  loadArchive();
+
+  // A policy can turn the history on or off for everyone
+  const archiveToggle = document.getElementById('archiveAIOverviews');
+  Promise.all([loadPrefs(), loadManagedPrefs()]).then(([prefs, managed]) => {
+    archiveToggle.checked = applyManagedPrefs(prefs, managed).archiveAIOverviews;
+    if (isManagedPref(managed, 'archiveAIOverviews')) {
+      archiveToggle.disabled = true;
+      const note = document.createElement('span');
+      note.className = 'managed-note';
+      note.textContent = MANAGED_NOTE;
+      archiveToggle.parentNode.appendChild(note);
+    }
+  });
+  archiveToggle.addEventListener('change', () => {
+    chrome.storage.sync.set({ archiveAIOverviews: archiveToggle.checked });
+  });
+
+  ['search', 'date-from', 'date-to'].forEach(id => {
+    document.getElementById(id).addEventListener('input', render);
+  });
+
+  document.getElementById('delete-shown').addEventListener('click', () => {
+    const count = shownEntries.length;
+    if (confirm(`Delete ${count} saved overview${count === 1 ? '' : 's'}?`)) {
+      deleteEntries(shownEntries.map(entry => entry.id));
+    }
+  });
+
+  // Refresh when new overviews are captured or entries are deleted
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.aiArchive) {
+      archive = changes.aiArchive.newValue || [];
+      render();
+    }
+  });
+}
+
+// Run on DOM ready
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,86 @@
+// Google Search Cleaner - Managed Policy
+// Shared by the content scripts, background worker, popup, options and history pages
+// (each loads queryRules.js first, for checking policy query rules).
+// Administrators can enforce settings through chrome.storage.managed (see managed_schema.json).
+// Enforced values are merged over the user's preferences wherever they're read and are
+// never written to sync, so the user's own choices come back if the policy is lifted
+
+// Preferences a policy can set, and whether each is an on/off switch or a list
+const MANAGED_PREF_TYPES = {
+  hideAI: 'boolean',
+  hideForums: 'boolean',
+  hidePeopleAlsoAsk: 'boolean',
+  hideShopping: 'boolean',
+  hideVideos: 'boolean',
+  hideSponsored: 'boolean',
+  hideAIImages: 'boolean',
+  hideNewsAI: 'boolean',
+  hideVideosTabAI: 'boolean',
+  hideSponsoredProducts: 'boolean',
+  engineGoogle: 'boolean',
+  engineBing: 'boolean',
+  engineDuckDuckGo: 'boolean',
+  engineBrave: 'boolean',
+  cssFirstMode: 'boolean',
+  showResultControls: 'boolean',
+  archiveAIOverviews: 'boolean',
+  blockedDomains: 'list',
+  boostedDomains: 'list',
+  textRules: 'list',
+  queryRules: 'list'
+};
+
+// Shown next to every setting a policy has locked
+const MANAGED_NOTE = 'Set by your administrator';
+
+// Keep the policy values that are settings of the right type
+// Chrome checks policies against the schema, but a bad entry shouldn't break filtering
+function readManagedPrefs(values) {
+  const managed = {};
+
+  Object.keys(MANAGED_PREF_TYPES).forEach(key => {
+    const value = values[key];
+    if (MANAGED_PREF_TYPES[key] === 'boolean' ? typeof value === 'boolean' : Array.isArray(value)) {
+      managed[key] = value;
+    }
+  });
+
+  ['blockedDomains', 'boostedDomains'].forEach(key => {
+    if (managed[key]) {
+      managed[key] = managed[key].filter(entry => typeof entry === 'string' && entry).map(entry => entry.toLowerCase());
+    }
+  });
+
+  // Policy rules have no ids; give them stable ones so per-rule counts still work
+  if (managed.textRules) {
+    managed.textRules = managed.textRules
+      .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern)
+      .map((rule, i) => ({ id: `managed${i}`, field: rule.field || 'any', pattern: rule.pattern }));
+  }
+
+  // Query rules are checked like an imported settings file's; a bad one is dropped
+  if (managed.queryRules) {
+    managed.queryRules = managed.queryRules
+      .filter(rule => !checkQueryRule(rule))
+      .map((rule, i) => copyQueryRule(rule, `managed${i}`));
+  }
+
+  return managed;
+}
+
+// Read the settings a policy enforces, or {} without one
+// (storage.managed is missing or rejects where policies aren't supported)
+function loadManagedPrefs() {
+  if (!chrome.storage.managed) return Promise.resolve({});
+  return chrome.storage.managed.get(null).then(readManagedPrefs).catch(() => ({}));
+}
+
+// Merge the enforced settings over the user's
+function applyManagedPrefs(prefs, managed) {
+  return { ...prefs, ...managed };
+}
+
+// Check if a policy sets a preference
+function isManagedPref(managed, key) {
+  return Object.prototype.hasOwnProperty.call(managed, key);
+}
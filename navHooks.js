@@ -0,0 +1,17 @@
+// Google Search Cleaner - Navigation Hooks
+// Runs in the page's own (main) world, where the search page calls the History API.
+// Content scripts can't see those calls, so each one is announced with a window event
+
+(() => {
+  // Must match NAVIGATION_EVENT in earlyStyles.js
+  const notify = () => window.dispatchEvent(new Event('gsc-navigate'));
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      notify();
+      return result;
+    };
+  });
+})();
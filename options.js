@@ -0,0 +1,881 @@
+// Google Search Cleaner - Options Page
+
+// Switches on this page, grouped like the popup: preference key -> [name, description]
+const OPTION_GROUPS = [
+  {
+    title: 'Search Results',
+    toggles: {
+      hideAI: ['AI Overview', 'Hide Google\'s AI-generated summaries'],
+      hideForums: ['Forums & Discussions', 'Reddit, Quora, Stack Overflow, etc.'],
+      hidePeopleAlsoAsk: ['People Also Ask', 'Expandable question boxes'],
+      hideShopping: ['Shopping Results', 'Product carousels and listings'],
+      hideVideos: ['Video Carousels', 'YouTube and video results'],
+      hideSponsored: ['Sponsored / Ads', 'Paid advertisements']
+    }
+  },
+  {
+    title: 'Other Search Tabs',
+    toggles: {
+      hideAIImages: ['AI-Generated Images', 'Images tab: pictures labelled as AI-made'],
+      hideNewsAI: ['AI Overview on News', 'News tab: AI summaries above the stories'],
+      hideVideosTabAI: ['AI Overview on Videos', 'Videos tab: AI summaries above the videos'],
+      hideSponsoredProducts: ['Sponsored Products', 'Shopping tab: paid product listings']
+    }
+  },
+  {
+    title: 'Search Engines',
+    toggles: {
+      engineGoogle: ['Google', 'Filter Google Search'],
+      engineBing: ['Bing', 'Filter Bing, including Copilot answers'],
+      engineDuckDuckGo: ['DuckDuckGo', 'Filter DuckDuckGo, including Search Assist'],
+      engineBrave: ['Brave Search', 'Filter Brave Search, including its AI answers']
+    }
+  },
+  {
+    title: 'Display',
+    toggles: {
+      cssFirstMode: ['Flicker-Free Hiding', 'Hide known blocks before the page draws'],
+      showResultControls: ['Inline Hide Buttons', 'Hide a result or site right from the results']
+    }
+  },
+  {
+    title: 'History',
+    toggles: {
+      archiveAIOverviews: ['AI Overview History', 'Keep a copy of each hidden AI Overview']
+    }
+  }
+];
+
+// Names of the list settings
+const LIST_LABELS = {
+  blockedDomains: 'Blocked sites',
+  boostedDomains: 'Preferred sites',
+  textRules: 'Text rules',
+  queryRules: 'Query rules'
+};
+
+// Stored preferences, kept current by the storage listener
+let storedPrefs = { ...DEFAULT_PREFS };
+
+// Settings an administrator enforces, which can't be changed here
+let managedPrefs = {};
+
+// A checked settings file waiting for the user to confirm the import
+let pendingImport = null;
+
+// What each keyboard shortcut does, beyond its one-line manifest description
+const COMMAND_NOTES = {
+  'toggle-filtering': 'Shows the page as Google sent it. Stays off for that tab until you press it again or close the tab.',
+  'reveal-ai-overview': 'Shows the hidden AI Overview in place, like its "Show the original AI Overview" link.',
+  'reveal-all': 'Same as "Reveal all on this page" in the popup.',
+  'cycle-profile': 'Switches to the next filter profile, in the order they are listed in the popup.'
+};
+
+// Render the extension's keyboard shortcuts and their current bindings
+function renderShortcuts() {
+  const list = document.getElementById('shortcut-list');
+
+  chrome.commands.getAll((commands) => {
+    list.textContent = '';
+
+    commands.filter(command => COMMAND_NOTES[command.name]).forEach(command => {
+      const row = document.createElement('tr');
+
+      const info = document.createElement('td');
+      info.textContent = command.description;
+
+      const note = document.createElement('div');
+      note.className = 'shortcut-note';
+      note.textContent = COMMAND_NOTES[command.name];
+      info.appendChild(note);
+
+      const keys = document.createElement('td');
+      keys.className = 'shortcut-keys';
+      if (command.shortcut) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = command.shortcut;
+        keys.appendChild(kbd);
+      } else {
+        // Chrome leaves a suggested key unbound when another extension already uses it
+        const unset = document.createElement('span');
+        unset.className = 'shortcut-unset';
+        unset.textContent = 'Not set';
+        keys.appendChild(unset);
+      }
+
+      row.appendChild(info);
+      row.appendChild(keys);
+      list.appendChild(row);
+    });
+  });
+}
+
+// Stored query rules and profiles, kept current by the storage listener
+let queryRules = [];
+let profileState = { ...PROFILE_STORAGE_DEFAULTS };
+
+// Get the display name of a setting
+function getSettingLabel(key) {
+  const group = OPTION_GROUPS.find(entry => entry.toggles[key]);
+  return group ? group.toggles[key][0] : LIST_LABELS[key] || key;
+}
+
+// Render the switches for every on/off setting
+function renderToggles() {
+  const container = document.getElementById('toggle-groups');
+  container.textContent = '';
+
+  OPTION_GROUPS.forEach(group => {
+    const title = document.createElement('div');
+    title.className = 'group-title';
+    title.textContent = group.title;
+    container.appendChild(title);
+
+    Object.keys(group.toggles).forEach(key => {
+      const [name, description] = group.toggles[key];
+
+      const row = document.createElement('label');
+      row.className = 'toggle-row';
+
+      const text = document.createElement('span');
+      text.className = 'toggle-text';
+      const nameEl = document.createElement('span');
+      nameEl.className = 'toggle-name';
+      nameEl.textContent = name;
+      const descEl = document.createElement('span');
+      descEl.className = 'toggle-desc';
+      descEl.textContent = description;
+      text.appendChild(nameEl);
+      text.appendChild(descEl);
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.pref = key;
+      input.checked = !!storedPrefs[key];
+      input.addEventListener('change', () => chrome.storage.sync.set({ [key]: input.checked }));
+
+      row.appendChild(text);
+      row.appendChild(input);
+      container.appendChild(row);
+    });
+  });
+}
+
+// Show or remove the note on a setting a policy sets
+function setManagedNote(label, managed) {
+  const note = label.querySelector('.managed-note');
+  if (managed && !note) {
+    const badge = document.createElement('span');
+    badge.className = 'managed-note';
+    badge.textContent = MANAGED_NOTE;
+    label.appendChild(badge);
+  } else if (!managed && note) {
+    note.remove();
+  }
+}
+
+// Put the values in effect into the switches and site lists, locking the ones a policy sets
+// and, like the popup, the paid filters, site lists and text rules until the user has paid
+function updateSettingInputs() {
+  const prefs = applyManagedPrefs(storedPrefs, managedPrefs);
+  const unpaid = !storedPrefs.isPaid;
+  document.getElementById('payment-notice').hidden = !unpaid;
+
+  document.querySelectorAll('#toggle-groups input[data-pref]').forEach(input => {
+    const managed = isManagedPref(managedPrefs, input.dataset.pref);
+    input.checked = !!prefs[input.dataset.pref];
+    input.disabled = managed || (unpaid && PREMIUM_FEATURES.includes(input.dataset.pref));
+    setManagedNote(input.closest('.toggle-row').querySelector('.toggle-name'), managed);
+  });
+
+  ['blockedDomains', 'boostedDomains'].forEach(key => {
+    const textarea = document.getElementById(`${key}-text`);
+    const managed = isManagedPref(managedPrefs, key);
+    textarea.readOnly = managed || unpaid;
+    document.getElementById(`${key}-save`).disabled = managed || unpaid;
+    setManagedNote(document.querySelector(`label[for="${key}-text"]`), managed);
+
+    // Don't replace a list while it's being edited
+    if (document.activeElement !== textarea || managed) {
+      textarea.value = prefs[key].join('\n');
+    }
+  });
+
+  const rulesManaged = isManagedPref(managedPrefs, 'textRules');
+  document.getElementById('text-rule-add').disabled = rulesManaged || unpaid;
+  setManagedNote(document.querySelector('#text-rules-section .card-title'), rulesManaged);
+  renderTextRuleTable(prefs.textRules, rulesManaged || unpaid);
+
+  // The query rules have their own editor, but a policy can set them too
+  renderQueryRules();
+}
+
+// Save a site list from its text box, one site per line
+function saveDomainList(key) {
+  const lines = document.getElementById(`${key}-text`).value.split('\n').filter(line => line.trim());
+  const { value, error } = validateDomainList(lines, key);
+  const status = document.getElementById(`${key}-status`);
+
+  if (error) {
+    status.className = 'form-error';
+    status.textContent = `The list ${error}`;
+    return;
+  }
+
+  chrome.storage.sync.set({ [key]: value }, () => {
+    if (chrome.runtime.lastError) {
+      status.className = 'form-error';
+      status.textContent = `Couldn't save the list: ${chrome.runtime.lastError.message}`;
+      return;
+    }
+    status.className = 'form-status';
+    status.textContent = `Saved ${value.length} site${value.length === 1 ? '' : 's'}`;
+    document.getElementById(`${key}-text`).value = value.join('\n');
+  });
+}
+
+// Render the text rules table
+function renderTextRuleTable(rules, locked) {
+  const list = document.getElementById('text-rule-list');
+  list.textContent = '';
+
+  if (!rules.length) {
+    const row = document.createElement('tr');
+    const empty = document.createElement('td');
+    empty.className = 'rule-empty';
+    empty.colSpan = 2;
+    empty.textContent = 'No text rules yet';
+    row.appendChild(empty);
+    list.appendChild(row);
+  }
+
+  rules.forEach(rule => {
+    const row = document.createElement('tr');
+
+    const text = document.createElement('td');
+    const field = document.createElement('span');
+    field.className = 'rule-match';
+    field.textContent = RULE_FIELDS[rule.field] || rule.field;
+    const pattern = document.createElement('code');
+    pattern.textContent = rule.pattern;
+    text.appendChild(field);
+    text.appendChild(pattern);
+
+    const actions = document.createElement('td');
+    actions.className = 'rule-actions';
+    const remove = document.createElement('button');
+    remove.className = 'icon-btn';
+    remove.textContent = '\u00d7';
+    remove.title = 'Remove rule';
+    remove.disabled = locked;
+    remove.addEventListener('click', () => {
+      saveTextRules(storedPrefs.textRules.filter(entry => entry.id !== rule.id));
+    });
+    actions.appendChild(remove);
+
+    row.appendChild(text);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+// Add the text rule described by the form
+function addTextRuleFromForm() {
+  // Enter in the pattern box gets here even while the rules are locked
+  if (document.getElementById('text-rule-add').disabled) return;
+
+  const input = document.getElementById('text-rule-pattern');
+  const field = document.getElementById('text-rule-field').value;
+  const pattern = input.value.trim();
+  const rules = storedPrefs.textRules;
+
+  let error = validateTextRule(pattern);
+  if (!error && rules.some(rule => rule.pattern === pattern && rule.field === field)) {
+    error = 'That rule already exists';
+  }
+  const updated = [...rules, { id: createEntryId('r'), field, pattern }];
+  if (!error && !fitsSyncItemQuota('textRules', updated)) {
+    error = 'There\'s no room for another rule; remove one first';
+  }
+
+  document.getElementById('text-rule-error').textContent = error || '';
+  if (error) return;
+
+  saveTextRules(updated).then(saved => {
+    if (saved) input.value = '';
+  });
+}
+
+// Save the text rules; the storage listener re-renders them
+// Resolves false, with the reason shown under the form, if sync storage refuses them
+function saveTextRules(rules) {
+  return chrome.storage.sync.set({ textRules: rules }).then(() => true, (err) => {
+    document.getElementById('text-rule-error').textContent = `Couldn't save the rules: ${err.message}`;
+    return false;
+  });
+}
+
+// Setup the switches, site lists and text rules
+function setupSettings() {
+  renderToggles();
+
+  ['blockedDomains', 'boostedDomains'].forEach(key => {
+    document.getElementById(`${key}-save`).addEventListener('click', () => saveDomainList(key));
+  });
+
+  const fieldSelect = document.getElementById('text-rule-field');
+  Object.keys(RULE_FIELDS).forEach(field => {
+    const option = document.createElement('option');
+    option.value = field;
+    option.textContent = RULE_FIELDS[field];
+    fieldSelect.appendChild(option);
+  });
+  document.getElementById('text-rule-add').addEventListener('click', addTextRuleFromForm);
+  document.getElementById('text-rule-pattern').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addTextRuleFromForm();
+  });
+
+  Promise.all([loadPrefs(), loadManagedPrefs()]).then(([prefs, managed]) => {
+    storedPrefs = prefs;
+    managedPrefs = managed;
+    updateSettingInputs();
+  });
+
+  onPrefsChanged((values) => {
+    storedPrefs = { ...storedPrefs, ...values };
+    updateSettingInputs();
+  });
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'managed') {
+      loadManagedPrefs().then(managed => {
+        managedPrefs = managed;
+        updateSettingInputs();
+      });
+    }
+  });
+}
+
+// Show a profile action's error, or clear it
+function setProfileError(message) {
+  document.getElementById('profile-error').textContent = message || '';
+}
+
+// Render the profiles table
+function renderProfileTable() {
+  const list = document.getElementById('profile-list');
+  list.textContent = '';
+
+  listProfiles(profileState).forEach(profile => {
+    const row = document.createElement('tr');
+    const active = profile.id === profileState.activeProfile;
+
+    const name = document.createElement('td');
+    name.textContent = profile.name;
+    if (active) {
+      const badge = document.createElement('span');
+      badge.className = 'active-badge';
+      badge.textContent = 'Active';
+      name.appendChild(badge);
+    }
+    if (profile.builtIn) {
+      const builtIn = document.createElement('span');
+      builtIn.className = 'rule-match';
+      builtIn.textContent = ' (built-in)';
+      name.appendChild(builtIn);
+    }
+
+    const actions = document.createElement('td');
+    actions.className = 'profile-actions';
+    const addAction = (label, handler) => {
+      const btn = document.createElement('button');
+      btn.className = 'link-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        setProfileError('');
+        handler();
+      });
+      actions.appendChild(btn);
+    };
+
+    if (!active) addAction('Switch to', () => switchProfile(profile.id));
+    addAction('Duplicate', () => {
+      const newName = prompt('Name for the copy', `${profile.name} copy`);
+      if (newName !== null) createProfile(newName.trim(), profile.id).then(setProfileError);
+    });
+    if (!profile.builtIn) {
+      addAction('Rename', () => {
+        const newName = prompt('New name', profile.name);
+        if (newName !== null) renameProfile(profile.id, newName.trim()).then(setProfileError);
+      });
+      addAction('Delete', () => {
+        if (confirm(`Delete the profile "${profile.name}"?`)) deleteProfile(profile.id);
+      });
+    }
+
+    row.appendChild(name);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+// Setup the profiles table and the new profile form
+function setupProfiles() {
+  const input = document.getElementById('profile-new-name');
+  const create = () => {
+    createProfile(input.value.trim(), null).then(error => {
+      setProfileError(error);
+      if (!error) input.value = '';
+    });
+  };
+
+  document.getElementById('profile-new').addEventListener('click', create);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') create();
+  });
+}
+
+// Describe a setting's value for the import preview
+function describeSettingValue(key, value) {
+  if (typeof DEFAULT_PREFS[key] === 'boolean') return value ? 'On' : 'Off';
+  if (key === 'blockedDomains' || key === 'boostedDomains') {
+    return value.length ? value.join(', ') : 'None';
+  }
+  return `${value.length} rule${value.length === 1 ? '' : 's'}`;
+}
+
+// List what importing a checked file would change: [what, before, after] rows
+function diffImport(imported) {
+  const rows = [];
+
+  Object.keys(imported.settings).forEach(key => {
+    const before = storedPrefs[key];
+    const after = imported.settings[key];
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      rows.push([getSettingLabel(key), describeSettingValue(key, before), describeSettingValue(key, after)]);
+    }
+  });
+
+  if (imported.profileState) {
+    const current = profileState;
+    const next = imported.profileState;
+    const ids = new Set([...Object.keys(current.profiles), ...Object.keys(next.profiles)]);
+
+    ids.forEach(id => {
+      const before = current.profiles[id];
+      const after = next.profiles[id];
+      const name = getProfileName(next, id) || getProfileName(current, id);
+      if (!before) {
+        rows.push([`Profile "${name}"`, 'Not saved', 'Added']);
+      } else if (!after && !BUILT_IN_PROFILES[id]) {
+        rows.push([`Profile "${name}"`, 'Saved', 'Removed']);
+      } else if (!after) {
+        rows.push([`Profile "${name}"`, 'Changed', 'Built-in settings']);
+      } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        rows.push([`Profile "${name}"`, before.name, after.name === before.name ? 'Changed' : `Renamed to ${after.name}`]);
+      }
+    });
+
+    if (current.activeProfile !== next.activeProfile) {
+      rows.push(['Active profile', getProfileName(current, current.activeProfile), getProfileName(next, next.activeProfile)]);
+    }
+  }
+
+  return rows;
+}
+
+// Show the problems with a file, or what importing it would change
+function renderImportPreview(fileName, imported) {
+  const preview = document.getElementById('import-preview');
+  const messages = document.getElementById('import-messages');
+  const diff = document.getElementById('import-diff');
+  const apply = document.getElementById('import-apply');
+
+  preview.hidden = false;
+  messages.textContent = '';
+  diff.textContent = '';
+  document.getElementById('import-status').textContent = '';
+  document.getElementById('import-file-name').textContent = fileName;
+
+  const addMessage = (text, className) => {
+    const item = document.createElement('li');
+    item.className = className;
+    item.textContent = text;
+    messages.appendChild(item);
+  };
+  imported.errors.forEach(text => addMessage(text, 'form-error'));
+  imported.warnings.forEach(text => addMessage(text, 'import-warning'));
+
+  if (imported.errors.length) {
+    pendingImport = null;
+    apply.hidden = true;
+    return;
+  }
+
+  const rows = diffImport(imported);
+  if (!rows.length) {
+    addMessage('The file matches your current settings', 'import-same');
+  }
+  rows.forEach(([what, before, after]) => {
+    const row = document.createElement('tr');
+    [what, before, after].forEach((text, i) => {
+      const cell = document.createElement('td');
+      cell.className = ['diff-what', 'diff-before', 'diff-after'][i];
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    diff.appendChild(row);
+  });
+
+  pendingImport = imported;
+  apply.hidden = !rows.length;
+}
+
+// Save the previewed file's settings and profiles
+// Settings go first: sync storage can refuse them (quota, write limits), and then nothing has
+// changed; the preview stays open to try again
+function applyImport() {
+  if (!pendingImport) return;
+  const imported = pendingImport;
+  const status = document.getElementById('import-status');
+  let step = 'settings';
+
+  chrome.storage.sync.set(imported.settings)
+    .then(() => {
+      if (!imported.profileState) return;
+      step = 'profiles';
+      return chrome.storage.local.set({ profiles: imported.profileState.profiles, activeProfile: imported.profileState.activeProfile });
+    })
+    .then(() => {
+      pendingImport = null;
+      document.getElementById('import-preview').hidden = true;
+      status.className = 'form-status';
+      status.textContent = 'Settings imported';
+    })
+    .catch(err => {
+      status.className = 'form-error';
+      status.textContent = step === 'settings'
+        ? `Couldn't import the settings: ${err.message}`
+        : `The settings were imported, but not the profiles: ${err.message}`;
+    });
+}
+
+// Download every setting as a JSON file
+function exportSettings() {
+  Promise.all([loadPrefs(), loadProfiles()]).then(([prefs, state]) => {
+    const file = buildSettingsFile(prefs, state);
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `google-search-cleaner-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+}
+
+// Setup export and import
+function setupBackup() {
+  const fileInput = document.getElementById('import-file');
+
+  document.getElementById('export-settings').addEventListener('click', exportSettings);
+  document.getElementById('import-settings').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+      renderImportPreview(file.name, parseSettingsFile(text, DEFAULT_PREFS));
+      // Allow choosing the same file again after fixing it
+      fileInput.value = '';
+    });
+  });
+
+  document.getElementById('import-apply').addEventListener('click', applyImport);
+  document.getElementById('import-cancel').addEventListener('click', () => {
+    pendingImport = null;
+    document.getElementById('import-preview').hidden = true;
+  });
+}
+
+// Describe what a rule does, e.g. "Show AI Overviews, hide Forums" or "Use the Research profile"
+function describeRuleAction(rule) {
+  if (rule.profile) {
+    const name = getProfileName(profileState, rule.profile);
+    return name ? `Use the ${name} profile` : 'Use a deleted profile (no change)';
+  }
+
+  return Object.keys(rule.overrides)
+    .map((key, i) => {
+      const verb = rule.overrides[key] ? 'hide' : 'show';
+      return `${i ? verb : verb[0].toUpperCase() + verb.slice(1)} ${QUERY_RULE_CATEGORIES[key]}`;
+    })
+    .join(', ');
+}
+
+// The query rules in effect: a policy's replace the user's
+function getActiveQueryRules() {
+  return isManagedPref(managedPrefs, 'queryRules') ? managedPrefs.queryRules : queryRules;
+}
+
+// Render the query rules table, locked while a policy sets the rules
+function renderQueryRules() {
+  const list = document.getElementById('query-rule-list');
+  const managed = isManagedPref(managedPrefs, 'queryRules');
+  const rules = getActiveQueryRules();
+  list.textContent = '';
+  document.getElementById('query-rule-add').disabled = managed;
+  setManagedNote(document.querySelector('#query-rules-section .card-title'), managed);
+
+  if (!rules.length) {
+    const row = document.createElement('tr');
+    const empty = document.createElement('td');
+    empty.className = 'rule-empty';
+    empty.colSpan = 3;
+    empty.textContent = 'No query rules yet';
+    row.appendChild(empty);
+    list.appendChild(row);
+  }
+
+  rules.forEach((rule, index) => {
+    const row = document.createElement('tr');
+
+    const when = document.createElement('td');
+    const match = document.createElement('span');
+    match.className = 'rule-match';
+    match.textContent = QUERY_RULE_MATCHES[rule.match];
+    const pattern = document.createElement('code');
+    pattern.textContent = rule.pattern;
+    when.appendChild(match);
+    when.appendChild(pattern);
+
+    const then = document.createElement('td');
+    then.textContent = describeRuleAction(rule);
+
+    const actions = document.createElement('td');
+    actions.className = 'rule-actions';
+    [['\u2191', 'Move up', index - 1], ['\u2193', 'Move down', index + 1]].forEach(([label, title, target]) => {
+      const btn = document.createElement('button');
+      btn.className = 'icon-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = managed || target < 0 || target >= rules.length;
+      btn.addEventListener('click', () => moveQueryRule(index, target));
+      actions.appendChild(btn);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'icon-btn';
+    remove.textContent = '\u00d7';
+    remove.title = 'Remove rule';
+    remove.disabled = managed;
+    remove.addEventListener('click', () => saveQueryRules(queryRules.filter(entry => entry.id !== rule.id)));
+    actions.appendChild(remove);
+
+    row.appendChild(when);
+    row.appendChild(then);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+
+  updateRuleTest();
+}
+
+// Fill the "then" picker with the override option and every profile
+function renderRuleActionOptions() {
+  const select = document.getElementById('query-rule-action');
+  const selected = select.value;
+  select.textContent = '';
+
+  const override = document.createElement('option');
+  override.value = '';
+  override.textContent = 'Show or hide categories';
+  select.appendChild(override);
+
+  listProfiles(profileState).forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = `Use the ${profile.name} profile`;
+    select.appendChild(option);
+  });
+
+  select.value = [...select.options].some(option => option.value === selected) ? selected : '';
+  document.getElementById('query-rule-overrides').hidden = !!select.value;
+}
+
+// Build the per-category show/hide pickers for new rules
+function renderOverridePickers() {
+  const container = document.getElementById('query-rule-overrides');
+  container.textContent = '';
+
+  Object.keys(QUERY_RULE_CATEGORIES).forEach(key => {
+    const label = document.createElement('label');
+    label.className = 'override-item';
+    label.textContent = QUERY_RULE_CATEGORIES[key];
+
+    const select = document.createElement('select');
+    select.dataset.pref = key;
+    [['', 'No change'], ['show', 'Show'], ['hide', 'Hide']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+
+    label.appendChild(select);
+    container.appendChild(label);
+  });
+}
+
+// Check a new rule, returning an error message or null
+function validateQueryRule(rule) {
+  if (!rule.pattern) return 'Enter the search terms to match';
+  if (rule.pattern.length > MAX_QUERY_PATTERN_LENGTH) return `Search terms are limited to ${MAX_QUERY_PATTERN_LENGTH} characters`;
+  if (rule.match === 'regex' && !getQueryRegex(rule.pattern)) return 'That regular expression isn\'t valid';
+  if (rule.overrides && !Object.keys(rule.overrides).length) return 'Choose at least one category to show or hide';
+  if (queryRules.some(entry => entry.match === rule.match && entry.pattern === rule.pattern)) {
+    return 'There is already a rule for those search terms';
+  }
+  if (!fitsSyncItemQuota('queryRules', [...queryRules, rule])) {
+    return 'There\'s no room for another rule; remove one first';
+  }
+  return null;
+}
+
+// Add the rule described by the form
+function addQueryRule() {
+  // Enter in the pattern box gets here even while a policy sets the rules
+  if (document.getElementById('query-rule-add').disabled) return;
+
+  const input = document.getElementById('query-rule-pattern');
+  const profile = document.getElementById('query-rule-action').value;
+  const rule = {
+    id: createEntryId('q'),
+    match: document.getElementById('query-rule-match').value,
+    pattern: input.value.trim()
+  };
+
+  if (profile) {
+    rule.profile = profile;
+  } else {
+    rule.overrides = {};
+    document.querySelectorAll('#query-rule-overrides select').forEach(select => {
+      if (select.value) rule.overrides[select.dataset.pref] = select.value === 'hide';
+    });
+  }
+
+  const error = validateQueryRule(rule);
+  document.getElementById('query-rule-error').textContent = error || '';
+  if (error) return;
+
+  saveQueryRules([...queryRules, rule]).then(saved => {
+    if (!saved) return;
+    input.value = '';
+    document.querySelectorAll('#query-rule-overrides select').forEach(select => { select.value = ''; });
+  });
+}
+
+// Swap a rule with its neighbour; order matters because the first match wins
+function moveQueryRule(from, to) {
+  const rules = [...queryRules];
+  [rules[from], rules[to]] = [rules[to], rules[from]];
+  saveQueryRules(rules);
+}
+
+// Save the rules; the storage listener re-renders them
+// Resolves false, with the reason shown under the form, if sync storage refuses them
+function saveQueryRules(rules) {
+  return chrome.storage.sync.set({ queryRules: rules }).then(() => true, (err) => {
+    document.getElementById('query-rule-error').textContent = `Couldn't save the rules: ${err.message}`;
+    return false;
+  });
+}
+
+// Show which rule the search typed into the tester would use
+function updateRuleTest() {
+  const query = document.getElementById('query-rule-test').value;
+  const result = document.getElementById('query-rule-test-result');
+
+  if (!query.trim()) {
+    result.textContent = '';
+    return;
+  }
+
+  const rules = getActiveQueryRules();
+  const rule = findQueryRule(rules, query);
+  result.textContent = rule
+    ? `Rule ${rules.indexOf(rule) + 1}: ${describeRuleAction(rule)}`
+    : 'No rule matches; your usual settings apply';
+}
+
+// Setup the query rules editor
+function setupQueryRules() {
+  renderOverridePickers();
+
+  const matchSelect = document.getElementById('query-rule-match');
+  Object.keys(QUERY_RULE_MATCHES).forEach(match => {
+    const option = document.createElement('option');
+    option.value = match;
+    option.textContent = QUERY_RULE_MATCHES[match];
+    matchSelect.appendChild(option);
+  });
+
+  document.getElementById('query-rule-action').addEventListener('change', renderRuleActionOptions);
+  document.getElementById('query-rule-add').addEventListener('click', addQueryRule);
+  document.getElementById('query-rule-pattern').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addQueryRule();
+  });
+  document.getElementById('query-rule-test').addEventListener('input', updateRuleTest);
+
+  loadPrefs().then(prefs => {
+    queryRules = prefs.queryRules;
+    renderQueryRules();
+  });
+  loadProfiles().then(state => {
+    profileState = state;
+    renderRuleActionOptions();
+    renderQueryRules();
+    renderProfileTable();
+  });
+
+  onPrefsChanged((values) => {
+    if ('queryRules' in values) {
+      queryRules = values.queryRules;
+      renderQueryRules();
+    }
+  });
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && (changes.profiles || changes.activeProfile)) {
+      loadProfiles().then(state => {
+        profileState = state;
+        renderRuleActionOptions();
+        renderQueryRules();
+        renderProfileTable();
+      });
+    }
+  });
+}
+
+// Initialize options page
+function init() {
+  setupSettings();
+  setupProfiles();
+  setupQueryRules();
+  setupBackup();
+  renderShortcuts();
+
+  // Bindings can only be changed on Chrome's own shortcuts page
+  document.getElementById('edit-shortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // Pick up changes made on the shortcuts page when coming back to this tab
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) renderShortcuts();
+  });
+}
+
+// Run on DOM ready
+document.addEventListener('DOMContentLoaded', init);
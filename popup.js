@@ -3,17 +3,6 @@
 // ExtensionPay ID
 const EXTPAY_ID = 'aifilter';
 
-// Default preferences
-const DEFAULT_PREFS = {
-  hideAI: true,
-  hideForums: false,
-  hidePeopleAlsoAsk: false,
-  hideShopping: false,
-  hideVideos: false,
-  hideSponsored: false,
-  isPaid: false
-};
-
 // Toggle IDs mapped to preference keys
 const TOGGLE_MAP = {
   'hideAI': 'hideAI',
@@ -21,11 +10,37 @@ const TOGGLE_MAP = {
   'hidePeopleAlsoAsk': 'hidePeopleAlsoAsk',
   'hideShopping': 'hideShopping',
   'hideVideos': 'hideVideos',
-  'hideSponsored': 'hideSponsored'
+  'hideSponsored': 'hideSponsored',
+  'hideAIImages': 'hideAIImages',
+  'hideNewsAI': 'hideNewsAI',
+  'hideVideosTabAI': 'hideVideosTabAI',
+  'hideSponsoredProducts': 'hideSponsoredProducts',
+  'engineGoogle': 'engineGoogle',
+  'engineBing': 'engineBing',
+  'engineDuckDuckGo': 'engineDuckDuckGo',
+  'engineBrave': 'engineBrave',
+  'cssFirstMode': 'cssFirstMode',
+  'showResultControls': 'showResultControls'
+};
+
+// Domain list editors mapped to preference keys
+const DOMAIN_LISTS = {
+  'blocked': 'blockedDomains',
+  'boosted': 'boostedDomains'
 };
 
-// ALL features require payment ($2)
-const PREMIUM_FEATURES = ['hideAI', 'hideForums', 'hidePeopleAlsoAsk', 'hideShopping', 'hideVideos', 'hideSponsored'];
+// List editors mapped to the preference they edit, for locking by policy
+const MANAGED_LIST_SECTIONS = {
+  'blocked-section': 'blockedDomains',
+  'boosted-section': 'boostedDomains',
+  'rules-section': 'textRules'
+};
+
+// How many results each text rule hid on the active tab
+let pageRuleCounts = {};
+
+// Settings an administrator enforces over the user's
+let managedPrefs = {};
 
 let extpay = null;
 let isPaid = false;
@@ -82,6 +97,9 @@ function updatePaymentUI(paid) {
     allToggles.forEach(item => {
       item.classList.remove('locked');
     });
+    document.querySelectorAll('.list-section').forEach(section => {
+      section.classList.remove('locked');
+    });
   } else {
     // Show payment banner - full screen paywall
     paymentBanner.classList.add('show');
@@ -90,9 +108,55 @@ function updatePaymentUI(paid) {
     allToggles.forEach(item => {
       item.classList.add('locked');
     });
+    document.querySelectorAll('.list-section').forEach(section => {
+      section.classList.add('locked');
+    });
+  }
+
+  updateManagedUI();
+}
+
+// Mark a setting as set by the administrator, or clear the mark once the policy lifts
+function setManagedNote(item, label, managed) {
+  const note = label.querySelector('.locked-badge');
+
+  if (managed) {
+    item.classList.add('locked');
+    item.title = MANAGED_NOTE;
+    if (!note) {
+      const badge = document.createElement('span');
+      badge.className = 'locked-badge';
+      badge.textContent = MANAGED_NOTE;
+      label.appendChild(badge);
+    }
+  } else if (note) {
+    note.remove();
+    item.removeAttribute('title');
   }
 }
 
+// Lock the toggles and lists a policy sets, showing the enforced values
+// Called after updatePaymentUI, which unlocks everything for paid users
+function updateManagedUI() {
+  Object.keys(TOGGLE_MAP).forEach(toggleId => {
+    const toggle = document.getElementById(toggleId);
+    if (!toggle) return;
+
+    const key = TOGGLE_MAP[toggleId];
+    const managed = isManagedPref(managedPrefs, key);
+    const item = toggle.closest('.filter-item');
+    if (managed) toggle.checked = managedPrefs[key];
+    toggle.disabled = managed;
+    setManagedNote(item, item.querySelector('.filter-name'), managed);
+  });
+
+  Object.keys(MANAGED_LIST_SECTIONS).forEach(sectionId => {
+    const section = document.getElementById(sectionId);
+    if (!section) return;
+    setManagedNote(section, section.querySelector('.section-title'), isManagedPref(managedPrefs, MANAGED_LIST_SECTIONS[sectionId]));
+  });
+}
+
 // Handle payment button click
 function handlePayment() {
   if (extpay) {
@@ -108,20 +172,35 @@ function handlePayment() {
 
 // Load preferences and update UI
 function loadPreferences() {
-  chrome.storage.sync.get(DEFAULT_PREFS, (prefs) => {
+  loadPrefs().then(stored => {
+    const prefs = applyManagedPrefs(stored, managedPrefs);
+
     Object.keys(TOGGLE_MAP).forEach(toggleId => {
       const toggle = document.getElementById(toggleId);
       if (toggle) {
         toggle.checked = prefs[TOGGLE_MAP[toggleId]] || false;
       }
     });
+
+    Object.keys(DOMAIN_LISTS).forEach(listId => {
+      renderDomainList(listId, prefs[DOMAIN_LISTS[listId]]);
+    });
+
+    renderTextRules(prefs.textRules);
   });
 }
 
 // Save preference when toggle changes
-function savePreference(key, value) {
+// onSaved, if given, runs only once sync storage has accepted the value; onError gets the reason it didn't
+function savePreference(key, value, onSaved, onError) {
   chrome.storage.sync.set({ [key]: value }, () => {
+    if (chrome.runtime.lastError) {
+      console.error(`Failed to save ${key}:`, chrome.runtime.lastError.message);
+      if (onError) onError(chrome.runtime.lastError.message);
+      return;
+    }
     console.log(`Saved ${key}: ${value}`);
+    if (onSaved) onSaved();
   });
 }
 
@@ -147,13 +226,625 @@ function setupToggles() {
   });
 }
 
+// Render the entries of a domain list editor
+function renderDomainList(listId, domains) {
+  const list = document.getElementById(`${listId}-list`);
+  if (!list) return;
+
+  list.textContent = '';
+
+  if (!domains.length) {
+    const empty = document.createElement('li');
+    empty.className = 'list-empty';
+    empty.textContent = 'No sites added yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  domains.forEach(domain => {
+    const item = document.createElement('li');
+    item.className = 'list-entry';
+
+    const name = document.createElement('span');
+    name.textContent = domain;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'list-remove';
+    removeBtn.title = `Remove ${domain}`;
+    removeBtn.textContent = '\u00d7';
+    removeBtn.addEventListener('click', () => removeDomain(listId, domain));
+
+    item.appendChild(name);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  });
+}
+
+// Show or clear the validation message of a list editor
+function setListError(listId, message) {
+  const error = document.getElementById(`${listId}-error`);
+  if (error) {
+    error.textContent = message || '';
+  }
+}
+
+// Add the typed domain to a list
+function addDomain(listId) {
+  const input = document.getElementById(`${listId}-input`);
+  const prefKey = DOMAIN_LISTS[listId];
+  const domain = normalizeDomainEntry(input.value);
+
+  if (!domain) {
+    setListError(listId, 'Enter a domain like example.com or *.example.com');
+    return;
+  }
+
+  chrome.storage.sync.get({ [prefKey]: [] }, (prefs) => {
+    const domains = prefs[prefKey];
+
+    if (domains.includes(domain)) {
+      setListError(listId, `${domain} is already in the list`);
+      return;
+    }
+    if (domains.length >= MAX_DOMAIN_ENTRIES) {
+      setListError(listId, `Lists are limited to ${MAX_DOMAIN_ENTRIES} sites`);
+      return;
+    }
+
+    domains.push(domain);
+    if (!fitsSyncItemQuota(prefKey, domains)) {
+      setListError(listId, 'There\'s no room for another site; remove one first');
+      return;
+    }
+
+    savePreference(prefKey, domains, () => {
+      setListError(listId, '');
+      input.value = '';
+      renderDomainList(listId, domains);
+    }, (message) => {
+      setListError(listId, `Couldn't save the list: ${message}`);
+    });
+  });
+}
+
+// Remove a domain from a list
+function removeDomain(listId, domain) {
+  const prefKey = DOMAIN_LISTS[listId];
+
+  chrome.storage.sync.get({ [prefKey]: [] }, (prefs) => {
+    const domains = prefs[prefKey].filter(d => d !== domain);
+    savePreference(prefKey, domains);
+    renderDomainList(listId, domains);
+  });
+}
+
+// Setup domain list editor listeners
+function setupDomainLists() {
+  Object.keys(DOMAIN_LISTS).forEach(listId => {
+    const input = document.getElementById(`${listId}-input`);
+    const addBtn = document.getElementById(`${listId}-add`);
+    if (!input || !addBtn) return;
+
+    addBtn.addEventListener('click', () => {
+      if (!isPaid) {
+        handlePayment();
+        return;
+      }
+      addDomain(listId);
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addBtn.click();
+      }
+    });
+
+    input.addEventListener('input', () => setListError(listId, ''));
+  });
+}
+
+// Render the text rule list with per-rule hit counts for the active tab
+function renderTextRules(rules) {
+  const list = document.getElementById('rules-list');
+  if (!list) return;
+
+  list.textContent = '';
+
+  if (!rules.length) {
+    const empty = document.createElement('li');
+    empty.className = 'list-empty';
+    empty.textContent = 'No rules added yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = 'list-entry';
+
+    const text = document.createElement('span');
+    text.className = 'rule-text';
+
+    const field = document.createElement('span');
+    field.className = 'rule-field';
+    field.textContent = RULE_FIELDS[rule.field] || rule.field;
+
+    const pattern = document.createElement('span');
+    pattern.className = 'rule-pattern';
+    pattern.textContent = rule.pattern;
+
+    text.appendChild(field);
+    text.appendChild(pattern);
+
+    const count = document.createElement('span');
+    count.className = 'rule-count';
+    const hits = pageRuleCounts[rule.id] || 0;
+    count.textContent = hits ? `${hits} hidden` : '';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'list-remove';
+    removeBtn.title = 'Remove rule';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.addEventListener('click', () => removeTextRule(rule.id));
+
+    item.appendChild(text);
+    item.appendChild(count);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  });
+}
+
+// Add the typed text rule after validating it
+function addTextRule() {
+  const input = document.getElementById('rules-input');
+  const fieldSelect = document.getElementById('rules-field');
+  const pattern = input.value.trim();
+
+  const error = validateTextRule(pattern);
+  if (error) {
+    setListError('rules', error);
+    return;
+  }
+
+  chrome.storage.sync.get({ textRules: [] }, (prefs) => {
+    const rules = prefs.textRules;
+
+    if (rules.some(rule => rule.pattern === pattern && rule.field === fieldSelect.value)) {
+      setListError('rules', 'That rule already exists');
+      return;
+    }
+
+    rules.push({
+      id: createEntryId('r'),
+      field: fieldSelect.value,
+      pattern: pattern
+    });
+    if (!fitsSyncItemQuota('textRules', rules)) {
+      setListError('rules', 'There\'s no room for another rule; remove one first');
+      return;
+    }
+
+    savePreference('textRules', rules, () => {
+      setListError('rules', '');
+      input.value = '';
+      renderTextRules(rules);
+    }, (message) => {
+      setListError('rules', `Couldn't save the rule: ${message}`);
+    });
+  });
+}
+
+// Remove a text rule
+function removeTextRule(ruleId) {
+  chrome.storage.sync.get({ textRules: [] }, (prefs) => {
+    const rules = prefs.textRules.filter(rule => rule.id !== ruleId);
+    savePreference('textRules', rules, () => {
+      setListError('rules', '');
+      renderTextRules(rules);
+    }, (message) => {
+      setListError('rules', `Couldn't remove the rule: ${message}`);
+    });
+  });
+}
+
+// Setup text rule editor listeners
+function setupTextRules() {
+  const input = document.getElementById('rules-input');
+  const addBtn = document.getElementById('rules-add');
+  if (!input || !addBtn) return;
+
+  addBtn.addEventListener('click', () => {
+    if (!isPaid) {
+      handlePayment();
+      return;
+    }
+    addTextRule();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addBtn.click();
+    }
+  });
+
+  input.addEventListener('input', () => setListError('rules', ''));
+}
+
+// Ask the content script on the active tab what it hid
+function loadPageStats() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs.length) return;
+
+    chrome.tabs.sendMessage(tabs[0].id, { action: 'getPageStats' }, (stats) => {
+      // No content script on this tab (not a search page)
+      if (chrome.runtime.lastError || !stats) return;
+
+      pageRuleCounts = stats.rules || {};
+      chrome.storage.sync.get({ textRules: [] }, (prefs) => {
+        renderTextRules(applyManagedPrefs(prefs, managedPrefs).textRules);
+      });
+    });
+  });
+}
+
+// Render the list of what was hidden on the active tab
+function renderPageItems(items) {
+  const section = document.getElementById('page-section');
+  const list = document.getElementById('page-list');
+  const revealAll = document.getElementById('page-reveal-all');
+  if (!section || !list) return;
+
+  section.hidden = false;
+  list.textContent = '';
+
+  if (!items.length) {
+    const empty = document.createElement('li');
+    empty.className = 'list-empty';
+    empty.textContent = 'Nothing hidden on this page';
+    list.appendChild(empty);
+  }
+
+  items.forEach(item => {
+    const entry = document.createElement('li');
+    entry.className = 'list-entry page-item';
+    entry.classList.toggle('revealed', item.revealed);
+
+    const text = document.createElement('span');
+    text.className = 'page-item-text';
+
+    const meta = document.createElement('span');
+    meta.className = 'page-item-meta';
+    meta.textContent = HIDDEN_CATEGORY_LABELS[item.category] || item.category;
+
+    if (item.domain) {
+      const domain = document.createElement('span');
+      domain.className = 'page-item-domain';
+      domain.textContent = ` \u00b7 ${item.domain}`;
+      meta.appendChild(domain);
+    }
+
+    const preview = document.createElement('span');
+    preview.className = 'page-item-preview';
+    preview.textContent = item.preview || '(no text)';
+    preview.title = item.preview;
+
+    text.appendChild(meta);
+    text.appendChild(preview);
+
+    const toggleBtn = document.createElement('button');
+    toggleBtn.className = 'page-item-btn';
+    toggleBtn.textContent = item.revealed ? 'Hide' : 'Reveal';
+    toggleBtn.addEventListener('click', () => {
+      sendPageAction({ action: 'setItemRevealed', id: item.id, revealed: !item.revealed });
+    });
+
+    entry.appendChild(text);
+    entry.appendChild(toggleBtn);
+    list.appendChild(entry);
+  });
+
+  revealAll.hidden = !items.some(item => !item.revealed);
+}
+
+// Send a "This page" request to the active tab and show the updated list it replies with
+function sendPageAction(message) {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs.length) return;
+
+    chrome.tabs.sendMessage(tabs[0].id, message, (items) => {
+      // No content script on this tab (not a search page)
+      if (chrome.runtime.lastError || !items) return;
+      renderPageItems(items);
+    });
+  });
+}
+
+// Setup the "This page" section
+function setupPageItems() {
+  const revealAll = document.getElementById('page-reveal-all');
+  if (!revealAll) return;
+
+  revealAll.addEventListener('click', () => {
+    sendPageAction({ action: 'revealAllHidden' });
+  });
+
+  sendPageAction({ action: 'getHiddenItems' });
+}
+
+// Describe the pauses covering the active tab, or '' when it's filtered
+function describePauses(pauses) {
+  const parts = [];
+  if (pauses.global && pauses.global.until) {
+    const time = new Date(pauses.global.until).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    parts.push(`Paused everywhere until ${time}`);
+  } else if (pauses.global) {
+    parts.push('Paused until the browser restarts');
+  }
+  if (pauses.tab) parts.push('Paused on this tab');
+  if (pauses.search !== null) parts.push(`Paused for "${pauses.search}"`);
+  return parts.join(' · ');
+}
+
+// Show the pause options, or what's paused and a Resume button
+function renderPauses(pauses) {
+  const status = document.getElementById('pause-status');
+  const options = document.getElementById('pause-options');
+  if (!status || !options || !pauses) return;
+
+  const description = describePauses(pauses);
+  document.getElementById('pause-status-text').textContent = description;
+  status.hidden = !description;
+  options.hidden = !!description;
+}
+
+// Setup the "Pause filtering" section
+function setupPause() {
+  const section = document.getElementById('pause-section');
+  if (!section) return;
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tabId = tabs.length ? tabs[0].id : null;
+
+    // The background worker keeps the pauses; refresh the page list too, since pausing reveals everything
+    const sendPauseAction = (message) => {
+      chrome.runtime.sendMessage({ ...message, tabId }, (pauses) => {
+        renderPauses(pauses);
+        sendPageAction({ action: 'getHiddenItems' });
+      });
+    };
+
+    section.querySelectorAll('[data-pause]').forEach(btn => {
+      btn.addEventListener('click', () => sendPauseAction({ action: 'pauseFiltering', kind: btn.dataset.pause }));
+    });
+    document.getElementById('pause-resume').addEventListener('click', () => {
+      sendPauseAction({ action: 'resumeFiltering' });
+    });
+
+    chrome.runtime.sendMessage({ action: 'getPauses', tabId }, renderPauses);
+
+    // Tab and search pauses need a search page
+    const tabButtons = section.querySelectorAll('[data-pause="tab"], [data-pause="search"]');
+    tabButtons.forEach(btn => { btn.disabled = true; });
+    if (tabId === null) return;
+
+    chrome.tabs.sendMessage(tabId, { action: 'getSearchQuery' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      tabButtons.forEach(btn => { btn.disabled = false; });
+    });
+  });
+}
+
+// What the profile name editor is open for: 'new', 'duplicate', 'rename' or null
+let profileNameMode = null;
+
+// Render the profile picker, its actions and the header indicator
+function renderProfiles(state) {
+  const select = document.getElementById('profile-select');
+  const indicator = document.getElementById('profile-indicator');
+  if (!select) return;
+
+  const profiles = listProfiles(state);
+  select.textContent = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.builtIn ? profile.name : `${profile.name} (custom)`;
+    select.appendChild(option);
+  });
+  select.value = state.activeProfile;
+
+  const active = profiles.find(profile => profile.id === state.activeProfile);
+  if (indicator) {
+    indicator.textContent = active ? `${active.name} profile` : '';
+    indicator.hidden = !active;
+  }
+
+  // Built-in profiles can't be renamed or deleted
+  const custom = !!active && !active.builtIn;
+  document.getElementById('profile-rename').disabled = !custom;
+  document.getElementById('profile-delete').disabled = !custom;
+}
+
+// Reload and render the profiles
+function refreshProfiles() {
+  return loadProfiles().then(renderProfiles);
+}
+
+// Open the name editor for a new, duplicated or renamed profile
+function openProfileNameEditor(mode) {
+  const input = document.getElementById('profile-name-input');
+  const select = document.getElementById('profile-select');
+  const current = select.options[select.selectedIndex];
+  const activeName = current ? current.textContent.replace(/ \(custom\)$/, '') : '';
+
+  profileNameMode = mode;
+  input.value = { new: '', duplicate: `${activeName} copy`, rename: activeName }[mode];
+  document.getElementById('profile-name-row').hidden = false;
+  setListError('profile', '');
+  input.focus();
+  input.select();
+}
+
+// Close the name editor
+function closeProfileNameEditor() {
+  profileNameMode = null;
+  document.getElementById('profile-name-row').hidden = true;
+  setListError('profile', '');
+}
+
+// Create, duplicate or rename a profile with the typed name
+function saveProfileName() {
+  const name = document.getElementById('profile-name-input').value.trim();
+  const activeId = document.getElementById('profile-select').value;
+
+  let saving;
+  if (profileNameMode === 'rename') {
+    saving = renameProfile(activeId, name);
+  } else {
+    saving = createProfile(name, profileNameMode === 'duplicate' ? activeId : null);
+  }
+
+  saving.then(error => {
+    if (error) {
+      setListError('profile', error);
+      return;
+    }
+    closeProfileNameEditor();
+    refreshProfiles();
+  });
+}
+
+// Setup the profile picker and its actions
+function setupProfiles() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    closeProfileNameEditor();
+    switchProfile(select.value).then(refreshProfiles);
+  });
+
+  ['new', 'duplicate', 'rename'].forEach(mode => {
+    document.getElementById(`profile-${mode}`).addEventListener('click', () => openProfileNameEditor(mode));
+  });
+
+  document.getElementById('profile-delete').addEventListener('click', () => {
+    const current = select.options[select.selectedIndex];
+    if (!current || !confirm(`Delete the profile "${current.textContent.replace(/ \(custom\)$/, '')}"?`)) return;
+    closeProfileNameEditor();
+    deleteProfile(select.value).then(refreshProfiles);
+  });
+
+  document.getElementById('profile-name-save').addEventListener('click', saveProfileName);
+  document.getElementById('profile-name-cancel').addEventListener('click', closeProfileNameEditor);
+  document.getElementById('profile-name-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveProfileName();
+    if (e.key === 'Escape') closeProfileNameEditor();
+  });
+
+  refreshProfiles();
+}
+
+// Render the Google domain picker and the list of enabled extra domains
+function renderGoogleDomains() {
+  const select = document.getElementById('domains-select');
+  const list = document.getElementById('domains-list');
+  const enableAll = document.getElementById('domains-enable-all');
+  if (!select || !list) return;
+
+  getEnabledGoogleDomains().then(enabled => {
+    const available = GOOGLE_SEARCH_DOMAINS.filter(domain => {
+      return !BUILT_IN_GOOGLE_DOMAINS.includes(domain) && !enabled.includes(domain);
+    });
+
+    select.textContent = '';
+    available.forEach(domain => {
+      const option = document.createElement('option');
+      option.value = domain;
+      option.textContent = domain;
+      select.appendChild(option);
+    });
+    select.disabled = !available.length;
+    enableAll.hidden = !available.length;
+
+    list.textContent = '';
+
+    if (!enabled.length) {
+      const empty = document.createElement('li');
+      empty.className = 'list-empty';
+      empty.textContent = 'No other Google domains enabled';
+      list.appendChild(empty);
+      return;
+    }
+
+    enabled.forEach(domain => {
+      const item = document.createElement('li');
+      item.className = 'list-entry';
+
+      const name = document.createElement('span');
+      name.textContent = domain;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'list-remove';
+      removeBtn.title = `Disable ${domain}`;
+      removeBtn.textContent = '\u00d7';
+      removeBtn.addEventListener('click', () => {
+        chrome.permissions.remove({ origins: [googleDomainOrigin(domain)] }).then(renderGoogleDomains);
+      });
+
+      item.appendChild(name);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+  });
+}
+
+// Ask Chrome for access to more Google domains
+// The background worker registers the content script once access is granted
+function enableGoogleDomains(domains) {
+  chrome.permissions.request({ origins: domains.map(googleDomainOrigin) }).then(granted => {
+    setListError('domains', granted ? '' : 'Permission was not granted');
+    renderGoogleDomains();
+  }).catch(err => {
+    setListError('domains', err.message);
+  });
+}
+
+// Setup Google domain listeners
+function setupGoogleDomains() {
+  const select = document.getElementById('domains-select');
+  const addBtn = document.getElementById('domains-add');
+  const enableAll = document.getElementById('domains-enable-all');
+  if (!select || !addBtn || !enableAll) return;
+
+  document.getElementById('domains-builtin').textContent = BUILT_IN_GOOGLE_DOMAINS.join(', ');
+
+  addBtn.addEventListener('click', () => {
+    if (select.value) {
+      enableGoogleDomains([select.value]);
+    }
+  });
+
+  enableAll.addEventListener('click', () => {
+    enableGoogleDomains(GOOGLE_SEARCH_DOMAINS.filter(domain => !BUILT_IN_GOOGLE_DOMAINS.includes(domain)));
+  });
+
+  chrome.permissions.onAdded.addListener(renderGoogleDomains);
+  chrome.permissions.onRemoved.addListener(renderGoogleDomains);
+
+  renderGoogleDomains();
+}
+
 // Initialize popup
 async function init() {
   // Initialize ExtensionPay
   initExtPay();
 
-  // Check payment status
+  // Check payment status, and what a policy enforces
   isPaid = await checkPaymentStatus();
+  managedPrefs = await loadManagedPrefs();
 
   // Update UI
   updatePaymentUI(isPaid);
@@ -164,18 +855,87 @@ async function init() {
   // Setup toggle listeners
   setupToggles();
 
+  // Setup domain list editors
+  setupDomainLists();
+
+  // Setup the Google country domain picker
+  setupGoogleDomains();
+
+  // Setup text rule editor and show what the rules caught on this page
+  setupTextRules();
+  loadPageStats();
+
+  // List what was hidden on the active tab
+  setupPageItems();
+
+  // Pause filtering for the active tab, its search or a while
+  setupPause();
+
+  // Switch and manage filter profiles
+  setupProfiles();
+
+  // Open the AI Overview history, statistics and options pages
+  const pageLinks = { 'history-link': 'history.html', 'stats-link': 'stats.html', 'options-link': 'options.html' };
+  Object.keys(pageLinks).forEach(linkId => {
+    const link = document.getElementById(linkId);
+    if (link) {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.tabs.create({ url: chrome.runtime.getURL(pageLinks[linkId]) });
+      });
+    }
+  });
+
   // Setup payment button
   const paymentBtn = document.getElementById('payment-btn');
   if (paymentBtn) {
     paymentBtn.addEventListener('click', handlePayment);
   }
 
-  // Listen for storage changes (payment status updates from background)
-  chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync' && changes.isPaid) {
-      isPaid = changes.isPaid.newValue;
+  // Listen for preference changes (payment status updates from background)
+  onPrefsChanged((values) => {
+    if ('isPaid' in values) {
+      isPaid = values.isPaid;
       updatePaymentUI(isPaid);
     }
+
+    // Lists can also be changed outside the popup
+    // (settings a policy sets keep showing the enforced value)
+    Object.keys(DOMAIN_LISTS).forEach(listId => {
+      const key = DOMAIN_LISTS[listId];
+      if (key in values && !isManagedPref(managedPrefs, key)) {
+        renderDomainList(listId, values[key]);
+      }
+    });
+
+    if ('textRules' in values && !isManagedPref(managedPrefs, 'textRules')) {
+      renderTextRules(values.textRules);
+    }
+
+    // Switching profiles changes the toggles too
+    Object.keys(TOGGLE_MAP).forEach(toggleId => {
+      const key = TOGGLE_MAP[toggleId];
+      const toggle = document.getElementById(toggleId);
+      if (key in values && toggle && !isManagedPref(managedPrefs, key)) {
+        toggle.checked = values[key];
+      }
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    // The administrator changed the policy
+    if (namespace === 'managed') {
+      loadManagedPrefs().then(managed => {
+        managedPrefs = managed;
+        updatePaymentUI(isPaid);
+        loadPreferences();
+      });
+    }
+
+    // Profiles can also be switched with the keyboard shortcut
+    if (namespace === 'local' && (changes.profiles || changes.activeProfile)) {
+      refreshProfiles();
+    }
   });
 }
 
@@ -0,0 +1,175 @@
+// Google Search Cleaner - Filter Profiles
+// Shared by the background worker (cycle-profile shortcut) and popup.
+// The flat preferences in chrome.storage.sync stay the working set of the active profile,
+// so content.js follows a switch like any other preference change. Switching saves the
+// working set into the profile being left and loads the new one's. Profiles live in
+// chrome.storage.local, where a profile's lists can't run into sync's per-item quota
+
+// Preferences a profile bundles, with their defaults from settings.js
+// Engines, history, query rules and payment state are about the browser, not the kind of search, so they stay put
+const PROFILE_PREF_KEYS = [
+  'hideAI', 'hideForums', 'hidePeopleAlsoAsk', 'hideShopping', 'hideVideos', 'hideSponsored',
+  'blockedDomains', 'boostedDomains', 'textRules',
+  'hideAIImages', 'hideNewsAI', 'hideVideosTabAI', 'hideSponsoredProducts',
+  'cssFirstMode', 'showResultControls'
+];
+const PROFILE_PREF_DEFAULTS = {};
+PROFILE_PREF_KEYS.forEach(key => {
+  PROFILE_PREF_DEFAULTS[key] = DEFAULT_PREFS[key];
+});
+
+// Built-in profiles, in display order, with the settings they start from
+// They can be changed like any other profile but not renamed or deleted
+const BUILT_IN_PROFILES = {
+  default: { name: 'Default', prefs: {} },
+  research: {
+    name: 'Research',
+    prefs: {
+      hideShopping: true,
+      hideVideos: true,
+      hideSponsored: true,
+      hideAIImages: true,
+      hideSponsoredProducts: true
+    }
+  },
+  shopping: {
+    name: 'Shopping',
+    prefs: {
+      hidePeopleAlsoAsk: true,
+      hideVideos: true
+    }
+  },
+  minimal: {
+    name: 'Minimal',
+    prefs: {
+      hideNewsAI: false,
+      hideVideosTabAI: false,
+      showResultControls: false
+    }
+  }
+};
+
+// Stored profile state: custom profiles and saved built-ins by id, and the active id
+const PROFILE_STORAGE_DEFAULTS = { profiles: {}, activeProfile: 'default' };
+
+// Limits for custom profiles
+const MAX_CUSTOM_PROFILES = 20;
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+// Read the stored profile state
+function loadProfiles() {
+  return chrome.storage.local.get(PROFILE_STORAGE_DEFAULTS);
+}
+
+// Every profile in display order: built-ins first, then custom ones by name
+function listProfiles(state) {
+  const builtIns = Object.keys(BUILT_IN_PROFILES).map(id => ({ id, name: BUILT_IN_PROFILES[id].name, builtIn: true }));
+  const custom = Object.keys(state.profiles)
+    .filter(id => !BUILT_IN_PROFILES[id])
+    .map(id => ({ id, name: state.profiles[id].name, builtIn: false }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [...builtIns, ...custom];
+}
+
+// Get a profile's settings: what was saved when it was last left, or its starting settings
+function getProfilePrefs(state, id) {
+  const preset = BUILT_IN_PROFILES[id] ? BUILT_IN_PROFILES[id].prefs : {};
+  const saved = state.profiles[id] ? state.profiles[id].prefs : {};
+  return { ...PROFILE_PREF_DEFAULTS, ...preset, ...saved };
+}
+
+// Get a profile's display name
+function getProfileName(state, id) {
+  if (BUILT_IN_PROFILES[id]) return BUILT_IN_PROFILES[id].name;
+  return state.profiles[id] ? state.profiles[id].name : '';
+}
+
+// Check a custom profile name, returning an error message or null
+function validateProfileName(state, name, ignoreId) {
+  if (!name) return 'Enter a name';
+  if (name.length > MAX_PROFILE_NAME_LENGTH) return `Names are limited to ${MAX_PROFILE_NAME_LENGTH} characters`;
+
+  const taken = listProfiles(state).some(profile => {
+    return profile.id !== ignoreId && profile.name.toLowerCase() === name.toLowerCase();
+  });
+  return taken ? 'A profile with that name already exists' : null;
+}
+
+// Switch to another profile, saving the working set into the one being left
+function switchProfile(id) {
+  return Promise.all([loadProfiles(), chrome.storage.sync.get(PROFILE_PREF_DEFAULTS)]).then(([state, current]) => {
+    if (!getProfileName(state, id) || id === state.activeProfile) return;
+
+    const leaving = state.activeProfile;
+    const profiles = { ...state.profiles };
+    if (getProfileName(state, leaving)) {
+      profiles[leaving] = { name: getProfileName(state, leaving), prefs: current };
+    }
+
+    return chrome.storage.local.set({ profiles, activeProfile: id }).then(() => {
+      return chrome.storage.sync.set(getProfilePrefs({ profiles }, id));
+    });
+  });
+}
+
+// Switch to the profile after the active one, wrapping around
+function cycleProfile() {
+  return loadProfiles().then(state => {
+    const ids = listProfiles(state).map(profile => profile.id);
+    const next = ids[(ids.indexOf(state.activeProfile) + 1) % ids.length];
+    return switchProfile(next);
+  });
+}
+
+// Create a custom profile and switch to it
+// It starts from another profile's settings when duplicating, or from the defaults
+// Resolves with an error message, or null once it's active
+function createProfile(name, duplicateOf) {
+  return Promise.all([loadProfiles(), chrome.storage.sync.get(PROFILE_PREF_DEFAULTS)]).then(([state, current]) => {
+    const error = validateProfileName(state, name);
+    if (error) return error;
+    if (listProfiles(state).filter(profile => !profile.builtIn).length >= MAX_CUSTOM_PROFILES) {
+      return `Custom profiles are limited to ${MAX_CUSTOM_PROFILES}`;
+    }
+
+    let prefs = { ...PROFILE_PREF_DEFAULTS };
+    if (duplicateOf === state.activeProfile) {
+      prefs = current;
+    } else if (duplicateOf) {
+      prefs = getProfilePrefs(state, duplicateOf);
+    }
+
+    const id = createEntryId('p');
+    const profiles = { ...state.profiles, [id]: { name, prefs } };
+    return chrome.storage.local.set({ profiles })
+      .then(() => switchProfile(id))
+      .then(() => null);
+  });
+}
+
+// Rename a custom profile, resolving with an error message or null
+function renameProfile(id, name) {
+  return loadProfiles().then(state => {
+    if (BUILT_IN_PROFILES[id] || !state.profiles[id]) return 'Built-in profiles can\'t be renamed';
+
+    const error = validateProfileName(state, name, id);
+    if (error) return error;
+
+    const profiles = { ...state.profiles, [id]: { ...state.profiles[id], name } };
+    return chrome.storage.local.set({ profiles }).then(() => null);
+  });
+}
+
+// Delete a custom profile, moving to the default one first if it's active
+function deleteProfile(id) {
+  return loadProfiles().then(state => {
+    if (BUILT_IN_PROFILES[id] || !state.profiles[id]) return;
+
+    const leave = id === state.activeProfile ? switchProfile('default') : Promise.resolve();
+    return leave.then(loadProfiles).then(updated => {
+      const profiles = { ...updated.profiles };
+      delete profiles[id];
+      return chrome.storage.local.set({ profiles });
+    });
+  });
+}
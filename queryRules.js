@@ -0,0 +1,118 @@
+// Google Search Cleaner - Per-Query Rules
+// Shared by the content scripts and options page; the popup, history page and background worker
+// load it for managedPolicy.js, which checks policy rules with it.
+// A rule matches the search terms (the q URL parameter) and, for that search only, applies a
+// profile's settings or per-category overrides on top of the stored preferences.
+// Rules are checked in order and the first match wins
+
+// How a rule's pattern is compared with the search terms
+const QUERY_RULE_MATCHES = {
+  prefix: 'Starts with',
+  contains: 'Contains',
+  regex: 'Matches regex'
+};
+
+// Categories a rule can show or hide
+const QUERY_RULE_CATEGORIES = {
+  hideAI: 'AI Overviews',
+  hideForums: 'Forums',
+  hidePeopleAlsoAsk: 'People also ask',
+  hideShopping: 'Shopping',
+  hideVideos: 'Videos',
+  hideSponsored: 'Sponsored'
+};
+
+// Longest pattern a rule can have; the list's total size is capped by the sync quota
+const MAX_QUERY_PATTERN_LENGTH = 200;
+
+// Compiled regex patterns keyed by source
+const queryRegexCache = new Map();
+
+// The search terms of the current page (every supported engine uses ?q=)
+function getSearchQuery() {
+  return new URLSearchParams(location.search).get('q') || '';
+}
+
+// Escape text for use inside a regular expression
+function escapeQueryPattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Get the regex a pattern compiles to, or null if it's invalid
+function getQueryRegex(pattern) {
+  if (!queryRegexCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (e) {
+      // Invalid patterns never match
+    }
+    queryRegexCache.set(pattern, regex);
+  }
+  return queryRegexCache.get(pattern);
+}
+
+// Check a rule against the search terms
+// "Contains" matches whole words, so "vs" doesn't match "canvas"
+function queryRuleMatches(rule, query) {
+  const terms = query.trim().replace(/\s+/g, ' ').toLowerCase();
+  const pattern = rule.pattern.trim().toLowerCase();
+  if (!terms || !pattern) return false;
+
+  if (rule.match === 'prefix') {
+    return terms.startsWith(pattern);
+  }
+  if (rule.match === 'contains') {
+    return new RegExp(`(^|\\W)${escapeQueryPattern(pattern)}($|\\W)`).test(terms);
+  }
+  if (rule.match === 'regex') {
+    const regex = getQueryRegex(rule.pattern);
+    return !!regex && regex.test(query);
+  }
+  return false;
+}
+
+// Check a rule that wasn't made with the options form (from a settings file or a policy),
+// returning what's wrong with it or null
+function checkQueryRule(rule) {
+  if (!isPlainObject(rule) || typeof rule.pattern !== 'string' || !rule.pattern.trim()) return 'has no search terms';
+  if (rule.pattern.length > MAX_QUERY_PATTERN_LENGTH) return `is longer than ${MAX_QUERY_PATTERN_LENGTH} characters`;
+  if (!QUERY_RULE_MATCHES[rule.match]) return `has an unknown match ${JSON.stringify(rule.match)}`;
+  if (rule.match === 'regex' && !getQueryRegex(rule.pattern)) return 'has an invalid regular expression';
+
+  if (typeof rule.profile === 'string' && rule.profile) return null;
+  if (!isPlainObject(rule.overrides)) return 'needs a profile or overrides';
+
+  const keys = Object.keys(rule.overrides);
+  if (!keys.length) return 'doesn\'t show or hide anything';
+  const invalid = keys.find(key => !QUERY_RULE_CATEGORIES[key] || typeof rule.overrides[key] !== 'boolean');
+  return invalid ? `has an invalid override ${JSON.stringify(invalid)}` : null;
+}
+
+// Copy the fields a checked rule uses, giving it an id if it has none
+function copyQueryRule(rule, id) {
+  const copy = { id, match: rule.match, pattern: rule.pattern };
+  if (typeof rule.profile === 'string' && rule.profile) {
+    copy.profile = rule.profile;
+  } else {
+    copy.overrides = { ...rule.overrides };
+  }
+  return copy;
+}
+
+// Find the first rule matching the search terms
+function findQueryRule(rules, query) {
+  return (rules || []).find(rule => queryRuleMatches(rule, query)) || null;
+}
+
+// Apply a rule to the stored preferences
+// A rule naming the active profile (or one that was deleted) leaves them as they are
+function applyQueryRule(prefs, rule, profileState) {
+  if (!rule) return prefs;
+
+  if (rule.profile) {
+    if (rule.profile === profileState.activeProfile || !getProfileName(profileState, rule.profile)) return prefs;
+    return { ...prefs, ...getProfilePrefs(profileState, rule.profile) };
+  }
+  return { ...prefs, ...rule.overrides };
+}
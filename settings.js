@@ -0,0 +1,214 @@
+// Google Search Cleaner - Settings
+// The one definition of the preferences kept in chrome.storage.sync, shared by the content
+// scripts, background worker, popup and extension pages: their defaults, the version of the
+// stored layout with the migrations between versions, checks on stored values, and change
+// notifications. (settingsValidation.js has the stricter checks for what users type in.)
+
+/**
+ * The preferences kept in chrome.storage.sync, as loadPrefs returns them
+ * @typedef {Object} Prefs
+ * @property {boolean} hideAI
+ * @property {boolean} hideForums
+ * @property {boolean} hidePeopleAlsoAsk
+ * @property {boolean} hideShopping
+ * @property {boolean} hideVideos
+ * @property {boolean} hideSponsored
+ * @property {string[]} blockedDomains - "example.com" or "*.example.com"
+ * @property {string[]} boostedDomains
+ * @property {{id: string, field: string, pattern: string}[]} textRules - field is any, title, snippet or url
+ * @property {boolean} archiveAIOverviews
+ * @property {boolean} hideAIImages
+ * @property {boolean} hideNewsAI
+ * @property {boolean} hideVideosTabAI
+ * @property {boolean} hideSponsoredProducts
+ * @property {boolean} engineGoogle
+ * @property {boolean} engineBing
+ * @property {boolean} engineDuckDuckGo
+ * @property {boolean} engineBrave
+ * @property {boolean} cssFirstMode
+ * @property {boolean} showResultControls
+ * @property {{id: string, match: string, pattern: string, profile?: string, overrides?: Object<string, boolean>}[]} queryRules
+ *   match is prefix, contains or regex; a rule applies a profile id or per-category overrides
+ * @property {boolean} isPaid
+ */
+
+// Default preferences
+/** @type {Prefs} */
+const DEFAULT_PREFS = {
+  hideAI: true,
+  hideForums: false,
+  hidePeopleAlsoAsk: false,
+  hideShopping: false,
+  hideVideos: false,
+  hideSponsored: false,
+  blockedDomains: [],
+  boostedDomains: [],
+  textRules: [],
+  archiveAIOverviews: true,
+  hideAIImages: false,
+  hideNewsAI: true,
+  hideVideosTabAI: true,
+  hideSponsoredProducts: false,
+  engineGoogle: true,
+  engineBing: true,
+  engineDuckDuckGo: true,
+  engineBrave: true,
+  cssFirstMode: true,
+  showResultControls: true,
+  queryRules: [],
+  isPaid: false
+};
+
+// Switches that need the one-time payment ($2), like the site lists and text rules
+// (locked in the popup and on the options page until isPaid is set)
+const PREMIUM_FEATURES = [
+  'hideAI', 'hideForums', 'hidePeopleAlsoAsk', 'hideShopping', 'hideVideos', 'hideSponsored',
+  'hideAIImages', 'hideNewsAI', 'hideVideosTabAI', 'hideSponsoredProducts',
+  'engineGoogle', 'engineBing', 'engineDuckDuckGo', 'engineBrave'
+];
+
+// Version of the stored layout, kept next to the preferences
+// Bump it with a migration whenever a preference is renamed, reshaped or dropped
+const SETTINGS_SCHEMA_VERSION = 1;
+const SETTINGS_VERSION_KEY = 'settingsVersion';
+
+// Steps from one layout version to the next, oldest first
+// Each gets the stored preferences and returns the values to save; undefined removes a key
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    // The first release only stored six filters and isPaid; write the defaults of
+    // everything added since, so the stored set is complete
+    migrate(prefs) {
+      const updates = {};
+      Object.keys(DEFAULT_PREFS).forEach(key => {
+        if (!(key in prefs)) updates[key] = getDefaultPref(key);
+      });
+      return updates;
+    }
+  }
+];
+
+// Check if a value is a plain object
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// What every entry of each list must look like
+const PREF_LIST_ENTRY_CHECKS = {
+  blockedDomains: entry => typeof entry === 'string' && !!entry,
+  boostedDomains: entry => typeof entry === 'string' && !!entry,
+  textRules: entry => isPlainObject(entry) && typeof entry.id === 'string' &&
+    typeof entry.field === 'string' && typeof entry.pattern === 'string' && !!entry.pattern,
+  queryRules: entry => isPlainObject(entry) && typeof entry.id === 'string' &&
+    typeof entry.match === 'string' && typeof entry.pattern === 'string' &&
+    (typeof entry.profile === 'string' || isPlainObject(entry.overrides))
+};
+
+// Make a unique id with a prefix, e.g. "r" for text rules, "q" for query rules, "p" for profiles,
+// "a" for archived AI Overviews
+function createEntryId(prefix) {
+  return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Get a copy of a preference's default, so callers can't change the shared lists
+function getDefaultPref(key) {
+  const value = DEFAULT_PREFS[key];
+  return Array.isArray(value) ? [...value] : value;
+}
+
+// Check a stored value against its default: a list keeps its well-formed entries,
+// anything of the wrong type falls back to the default
+function checkPrefValue(key, value) {
+  if (typeof DEFAULT_PREFS[key] === 'boolean') {
+    return typeof value === 'boolean' ? value : getDefaultPref(key);
+  }
+  if (!Array.isArray(value)) return getDefaultPref(key);
+  return value.filter(PREF_LIST_ENTRY_CHECKS[key]);
+}
+
+// Check stored preferences, ignoring keys that aren't preferences
+// Returns { prefs, invalid }: the values to use and the keys whose stored values were replaced
+function validatePrefs(stored) {
+  const prefs = {};
+  const invalid = [];
+
+  Object.keys(stored).forEach(key => {
+    if (!(key in DEFAULT_PREFS)) return;
+    prefs[key] = checkPrefValue(key, stored[key]);
+    if (JSON.stringify(prefs[key]) !== JSON.stringify(stored[key])) invalid.push(key);
+  });
+
+  return { prefs, invalid };
+}
+
+// Read every preference, with defaults for anything missing or invalid
+/** @returns {Promise<Prefs>} */
+function loadPrefs() {
+  return chrome.storage.sync.get(DEFAULT_PREFS).then(stored => validatePrefs(stored).prefs);
+}
+
+/**
+ * @callback PrefsChangedCallback
+ * @param {Partial<Prefs>} values - the new value of each preference that changed
+ */
+
+// Listen for preference changes
+// The callback gets an object with the new value of each preference that changed,
+// checked like loadPrefs (a removed preference is back to its default)
+/** @param {PrefsChangedCallback} callback */
+function onPrefsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace !== 'sync') return;
+
+    const values = {};
+    Object.keys(changes).forEach(key => {
+      if (key in DEFAULT_PREFS) {
+        values[key] = 'newValue' in changes[key] ? changes[key].newValue : getDefaultPref(key);
+      }
+    });
+
+    if (Object.keys(values).length) callback(validatePrefs(values).prefs);
+  });
+}
+
+// Bring the stored preferences up to the current layout, then repair invalid values
+// Run by the background worker when the extension is installed or updated; a new install can
+// find settings synced from another device, so it only fills in what's missing (step 1)
+async function migrateStoredPrefs() {
+  const stored = await chrome.storage.sync.get(null);
+  const from = Number.isInteger(stored[SETTINGS_VERSION_KEY]) ? stored[SETTINGS_VERSION_KEY] : 0;
+
+  // Synced from a newer version of the extension on another device; leave it for that one
+  if (from > SETTINGS_SCHEMA_VERSION) return;
+
+  const prefs = { ...stored };
+  const updates = {};
+  const removed = new Set();
+
+  SETTINGS_MIGRATIONS.filter(step => step.version > from).forEach(step => {
+    const changes = step.migrate(prefs);
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === undefined) {
+        delete prefs[key];
+        delete updates[key];
+        removed.add(key);
+      } else {
+        prefs[key] = changes[key];
+        updates[key] = changes[key];
+        removed.delete(key);
+      }
+    });
+  });
+
+  const { prefs: checked, invalid } = validatePrefs(prefs);
+  invalid.forEach(key => {
+    updates[key] = checked[key];
+  });
+  if (invalid.length) {
+    console.warn('Google Search Cleaner reset invalid stored settings:', invalid.join(', '));
+  }
+
+  if (removed.size) await chrome.storage.sync.remove([...removed]);
+  await chrome.storage.sync.set({ ...updates, [SETTINGS_VERSION_KEY]: SETTINGS_SCHEMA_VERSION });
+}
@@ -0,0 +1,185 @@
+// Google Search Cleaner - Settings File
+// Export and import of every setting as a versioned JSON file, used by the options page.
+// An import is checked in full before anything is saved, and never carries payment state
+
+// Identifies the file, and the version of its layout
+const SETTINGS_FILE_FORMAT = 'google-search-cleaner-settings';
+const SETTINGS_FILE_VERSION = 1;
+
+// Settings that belong to this browser and are never exported or imported
+const UNSHARED_SETTINGS = ['isPaid'];
+
+// Build the file from the stored preferences and profiles
+function buildSettingsFile(prefs, profileState) {
+  const settings = { ...prefs };
+  UNSHARED_SETTINGS.forEach(key => delete settings[key]);
+
+  return {
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    profiles: { active: profileState.activeProfile, saved: profileState.profiles }
+  };
+}
+
+// Quote a value from the file for an error message
+function quoteValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return `"${String(text).slice(0, 60)}"`;
+}
+
+// Check a list of blocked or preferred sites, normalizing each entry
+function validateDomainList(list, key) {
+  if (list.length > MAX_DOMAIN_ENTRIES) return { error: `has more than ${MAX_DOMAIN_ENTRIES} sites` };
+
+  const value = [];
+  for (let i = 0; i < list.length; i++) {
+    const domain = typeof list[i] === 'string' ? normalizeDomainEntry(list[i]) : null;
+    if (!domain) return { error: `entry ${i + 1} (${quoteValue(list[i])}) isn't a domain` };
+    if (!value.includes(domain)) value.push(domain);
+  }
+  if (!fitsSyncItemQuota(key, value)) return { error: `is over the ${SYNC_ITEM_QUOTA_BYTES}-byte limit for a synced list` };
+  return { value };
+}
+
+// Check a list of text rules
+function validateTextRuleList(list) {
+  const value = [];
+  for (let i = 0; i < list.length; i++) {
+    const rule = list[i];
+    if (!isPlainObject(rule) || typeof rule.pattern !== 'string') return { error: `rule ${i + 1} has no pattern` };
+    if (!RULE_FIELDS[rule.field]) return { error: `rule ${i + 1} has an unknown field ${quoteValue(rule.field)}` };
+
+    const error = validateTextRule(rule.pattern.trim());
+    if (error) return { error: `rule ${i + 1}: ${error}` };
+
+    value.push({
+      id: typeof rule.id === 'string' && rule.id ? rule.id : createEntryId('r'),
+      field: rule.field,
+      pattern: rule.pattern.trim()
+    });
+  }
+  if (!fitsSyncItemQuota('textRules', value)) return { error: `is over the ${SYNC_ITEM_QUOTA_BYTES}-byte limit for a synced list` };
+  return { value };
+}
+
+// Check a list of query rules
+function validateQueryRuleList(list) {
+  const value = [];
+  for (let i = 0; i < list.length; i++) {
+    const rule = list[i];
+    const error = checkQueryRule(rule);
+    if (error) return { error: `rule ${i + 1} ${error}` };
+
+    value.push(copyQueryRule(rule, typeof rule.id === 'string' && rule.id ? rule.id : createEntryId('q')));
+  }
+  if (!fitsSyncItemQuota('queryRules', value)) return { error: `is over the ${SYNC_ITEM_QUOTA_BYTES}-byte limit for a synced list` };
+  return { value };
+}
+
+// Check one setting against the type of its default, returning { value } or { error }
+function validateSettingValue(key, value, defaults) {
+  if (typeof defaults[key] === 'boolean') {
+    return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+  }
+  if (!Array.isArray(value)) return { error: 'must be a list' };
+
+  if (key === 'blockedDomains' || key === 'boostedDomains') return validateDomainList(value, key);
+  if (key === 'textRules') return validateTextRuleList(value);
+  if (key === 'queryRules') return validateQueryRuleList(value);
+  return { error: 'isn\'t supported' };
+}
+
+// Check a set of settings, collecting errors and skipping unknown keys with a warning
+function validateSettingsObject(settings, defaults, path, result) {
+  const checked = {};
+  Object.keys(settings).forEach(key => {
+    if (!(key in defaults) || UNSHARED_SETTINGS.includes(key)) {
+      result.warnings.push(`Skipped unknown setting ${path}${key}`);
+      return;
+    }
+    const { value, error } = validateSettingValue(key, settings[key], defaults);
+    if (error) {
+      result.errors.push(`${path}${key} ${error}`);
+    } else {
+      checked[key] = value;
+    }
+  });
+  return checked;
+}
+
+// Check the saved profiles and the active one
+function validateProfiles(profiles, result) {
+  if (!isPlainObject(profiles) || !isPlainObject(profiles.saved)) {
+    result.errors.push('profiles must have a "saved" object');
+    return null;
+  }
+
+  const saved = {};
+  Object.keys(profiles.saved).forEach(id => {
+    const profile = profiles.saved[id];
+    const name = isPlainObject(profile) && typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (!name || name.length > MAX_PROFILE_NAME_LENGTH || !isPlainObject(profile.prefs)) {
+      result.errors.push(`Profile ${quoteValue(id)} needs a name of up to ${MAX_PROFILE_NAME_LENGTH} characters and its settings`);
+      return;
+    }
+    const prefs = validateSettingsObject(profile.prefs, PROFILE_PREF_DEFAULTS, `profile "${name}": `, result);
+    saved[id] = { name: BUILT_IN_PROFILES[id] ? BUILT_IN_PROFILES[id].name : name, prefs };
+  });
+
+  const state = { profiles: saved, activeProfile: profiles.active };
+  if (typeof profiles.active !== 'string' || !getProfileName(state, profiles.active)) {
+    result.errors.push(`The active profile ${quoteValue(profiles.active)} isn't in the file`);
+    return null;
+  }
+  return state;
+}
+
+// Parse and check a settings file
+// Returns { settings, profileState, errors, warnings }; nothing should be saved if there are errors.
+// Settings missing from the file keep their current values, and profileState is null without profiles
+function parseSettingsFile(text, defaults) {
+  const result = { settings: {}, profileState: null, errors: [], warnings: [] };
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    result.errors.push(`This isn't a JSON file (${e.message})`);
+    return result;
+  }
+
+  if (!isPlainObject(data) || data.format !== SETTINGS_FILE_FORMAT) {
+    result.errors.push('This isn\'t a Google Search Cleaner settings file');
+    return result;
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    result.errors.push('The file has no valid version number');
+    return result;
+  }
+  if (data.version > SETTINGS_FILE_VERSION) {
+    result.errors.push(`The file is from a newer version of the extension (format ${data.version}); update the extension first`);
+    return result;
+  }
+  if (!isPlainObject(data.settings)) {
+    result.errors.push('The file has no settings');
+    return result;
+  }
+
+  result.settings = validateSettingsObject(data.settings, defaults, '', result);
+  if (data.profiles !== undefined) {
+    result.profileState = validateProfiles(data.profiles, result);
+  }
+
+  // A query rule using a profile the file doesn't have does nothing; worth knowing but not fatal
+  if (result.profileState) {
+    (result.settings.queryRules || []).forEach((rule, i) => {
+      if (rule.profile && !getProfileName(result.profileState, rule.profile)) {
+        result.warnings.push(`Query rule ${i + 1} uses a profile that isn't in the file`);
+      }
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,66 @@
+// Google Search Cleaner - Settings Validation
+// Shared by the popup, options page and background worker: the limits and checks for the lists
+// users edit, applied the same way when typing an entry and when importing a settings file
+
+// Most sites a list can hold. 200 typical domains take about half the sync per-item quota,
+// but long names fill it sooner, so lists are also checked with fitsSyncItemQuota
+const MAX_DOMAIN_ENTRIES = 200;
+
+// chrome.storage.sync refuses any single item (key plus JSON value) over this many bytes
+const SYNC_ITEM_QUOTA_BYTES = 8192;
+
+// Check if a value can be saved to chrome.storage.sync under a key
+function fitsSyncItemQuota(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length <= SYNC_ITEM_QUOTA_BYTES;
+}
+
+// Text rule fields and how they're labelled
+const RULE_FIELDS = {
+  'any': 'Anywhere',
+  'title': 'Title',
+  'snippet': 'Snippet',
+  'url': 'URL'
+};
+
+// Normalize user input into a domain pattern ("example.com" or "*.example.com")
+// Returns null if the input is not a usable domain
+function normalizeDomainEntry(input) {
+  let value = input.trim().toLowerCase();
+  if (!value) return null;
+
+  // Accept pasted URLs as well as bare domains
+  value = value.replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0].split(':')[0];
+
+  const wildcard = value.startsWith('*.');
+  const host = (wildcard ? value.slice(2) : value).replace(/\.$/, '');
+
+  if (!/^([a-z0-9-]+\.)+[a-z0-9-]{2,}$/.test(host)) return null;
+
+  return (wildcard ? '*.' : '') + host;
+}
+
+// Validate a text rule pattern, returning an error message or null
+function validateTextRule(pattern) {
+  if (!pattern) {
+    return 'Enter some text or a /regular expression/';
+  }
+  if (pattern.length > 200) {
+    return 'Rules are limited to 200 characters';
+  }
+
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    if (/[^imsu]/.test(regexMatch[2])) {
+      return `Unsupported regex flags "${regexMatch[2]}" (use i, m, s or u)`;
+    }
+    try {
+      new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (e) {
+      return e.message;
+    }
+  } else if (pattern.startsWith('/') && pattern.length > 1) {
+    return 'Regular expressions must end with / and optional flags, e.g. /best .* 2026/i';
+  }
+
+  return null;
+}
@@ -0,0 +1,240 @@
+// Google Search Cleaner - Statistics Page
+
+// SVG namespace for the daily chart
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Daily chart series: which categories each bar segment adds up, bottom to top
+const DAILY_SERIES = [
+  { label: 'AI Overviews', color: '#4285f4', categories: ['ai', 'aiImages'] },
+  { label: 'Ads', color: '#fbbc04', categories: ['sponsored', 'shopping'] },
+  { label: 'Everything else', color: '#9aa0a6', categories: null }
+];
+
+// Daily chart size in SVG units
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 10, right: 8, bottom: 22, left: 36 };
+
+// How many domains the top domains chart lists
+const TOP_DOMAIN_COUNT = 10;
+
+// Stored statistics, or null before anything was hidden
+let lifetimeStats = null;
+
+// Days shown in the daily chart
+let chartDays = 30;
+
+// Format a number with thousands separators
+function formatCount(count) {
+  return (count || 0).toLocaleString();
+}
+
+// Sum a series' categories for one day
+function getSeriesCount(day, series) {
+  if (!day) return 0;
+
+  if (series.categories) {
+    return series.categories.reduce((sum, category) => sum + (day[category] || 0), 0);
+  }
+
+  // "Everything else" is whatever the other series don't cover
+  const covered = DAILY_SERIES.filter(s => s.categories).flatMap(s => s.categories);
+  return Object.keys(day)
+    .filter(category => !covered.includes(category))
+    .reduce((sum, category) => sum + day[category], 0);
+}
+
+// Create an SVG element with attributes
+function createSvgElement(tag, attributes) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attributes).forEach(name => el.setAttribute(name, attributes[name]));
+  return el;
+}
+
+// Render the headline numbers
+function renderSummary(stats) {
+  const categories = stats.categories;
+  document.getElementById('stat-total').textContent = formatCount(stats.total);
+  document.getElementById('stat-ai').textContent = formatCount((categories.ai || 0) + (categories.aiImages || 0));
+  document.getElementById('stat-ads').textContent = formatCount((categories.sponsored || 0) + (categories.shopping || 0));
+  document.getElementById('stat-since').textContent = new Date(stats.since).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+// Render the stacked bar chart of the last chartDays days
+function renderDailyChart(stats) {
+  const container = document.getElementById('daily-chart');
+  container.textContent = '';
+
+  const days = [];
+  for (let i = chartDays - 1; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    days.push({ date, counts: DAILY_SERIES.map(series => getSeriesCount(stats.days[getDayKey(date)], series)) });
+  }
+
+  const max = Math.max(1, ...days.map(day => day.counts.reduce((a, b) => a + b, 0)));
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const slot = plotWidth / days.length;
+  const barWidth = Math.max(1, slot * 0.7);
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+    class: 'chart-svg',
+    role: 'img',
+    'aria-label': `Items hidden per day over the last ${chartDays} days`
+  });
+
+  // Horizontal guides at 0, half and the maximum
+  [0, 0.5, 1].forEach(fraction => {
+    const y = CHART_PADDING.top + plotHeight * (1 - fraction);
+    svg.appendChild(createSvgElement('line', {
+      x1: CHART_PADDING.left, x2: CHART_WIDTH - CHART_PADDING.right, y1: y, y2: y, class: 'chart-grid'
+    }));
+    const label = createSvgElement('text', { x: CHART_PADDING.left - 6, y: y + 4, class: 'chart-axis', 'text-anchor': 'end' });
+    label.textContent = formatCount(Math.round(max * fraction));
+    svg.appendChild(label);
+  });
+
+  days.forEach((day, i) => {
+    const x = CHART_PADDING.left + slot * i + (slot - barWidth) / 2;
+    let y = CHART_PADDING.top + plotHeight;
+
+    day.counts.forEach((count, s) => {
+      if (!count) return;
+      const height = (count / max) * plotHeight;
+      y -= height;
+      const bar = createSvgElement('rect', { x, y, width: barWidth, height, fill: DAILY_SERIES[s].color });
+      const tooltip = createSvgElement('title', {});
+      tooltip.textContent = `${day.date.toLocaleDateString()} - ${DAILY_SERIES[s].label}: ${formatCount(count)}`;
+      bar.appendChild(tooltip);
+      svg.appendChild(bar);
+    });
+
+    // Label the first day and every seventh day after it
+    if (i % 7 === 0) {
+      const label = createSvgElement('text', { x: x + barWidth / 2, y: CHART_HEIGHT - 6, class: 'chart-axis', 'text-anchor': 'middle' });
+      label.textContent = day.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      svg.appendChild(label);
+    }
+  });
+
+  container.appendChild(svg);
+
+  const legend = document.getElementById('daily-legend');
+  legend.textContent = '';
+  DAILY_SERIES.forEach(series => {
+    const item = document.createElement('span');
+    item.className = 'legend-item';
+
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = series.color;
+
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(series.label));
+    legend.appendChild(item);
+  });
+}
+
+// Render a horizontal bar chart from [label, count] rows
+function renderBarList(containerId, rows, emptyText) {
+  const container = document.getElementById(containerId);
+  container.textContent = '';
+
+  if (!rows.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = emptyText;
+    container.appendChild(empty);
+    return;
+  }
+
+  const max = Math.max(...rows.map(row => row[1]));
+  rows.forEach(([label, count]) => {
+    const row = document.createElement('div');
+    row.className = 'bar-row';
+
+    const name = document.createElement('span');
+    name.className = 'bar-label';
+    name.textContent = label;
+    name.title = label;
+
+    const track = document.createElement('span');
+    track.className = 'bar-track';
+
+    const fill = document.createElement('span');
+    fill.className = 'bar-fill';
+    fill.style.width = `${(count / max) * 100}%`;
+    track.appendChild(fill);
+
+    const value = document.createElement('span');
+    value.className = 'bar-value';
+    value.textContent = formatCount(count);
+
+    row.appendChild(name);
+    row.appendChild(track);
+    row.appendChild(value);
+    container.appendChild(row);
+  });
+}
+
+// Render the whole page from the stored statistics
+function render() {
+  const hasStats = lifetimeStats && lifetimeStats.total > 0;
+  document.getElementById('stats').hidden = !hasStats;
+  document.getElementById('no-stats').hidden = hasStats;
+  if (!hasStats) return;
+
+  renderSummary(lifetimeStats);
+  renderDailyChart(lifetimeStats);
+
+  const categoryRows = Object.keys(HIDDEN_CATEGORY_LABELS)
+    .filter(category => lifetimeStats.categories[category])
+    .map(category => [HIDDEN_CATEGORY_LABELS[category], lifetimeStats.categories[category]]);
+  renderBarList('category-chart', categoryRows, 'Nothing hidden yet');
+
+  const domainRows = Object.keys(lifetimeStats.domains)
+    .map(domain => [domain, lifetimeStats.domains[domain]])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_DOMAIN_COUNT);
+  renderBarList('domain-chart', domainRows, 'No results from specific sites hidden yet');
+}
+
+// Load the statistics from storage and render them
+function loadStats() {
+  chrome.storage.local.get({ lifetimeStats: null }, (items) => {
+    lifetimeStats = items.lifetimeStats;
+    render();
+  });
+}
+
+// Initialize page
+function init() {
+  document.getElementById('chart-range').addEventListener('change', (e) => {
+    chartDays = Number(e.target.value);
+    render();
+  });
+
+  document.getElementById('reset-stats').addEventListener('click', () => {
+    if (!confirm('Reset all statistics? This can\'t be undone.')) return;
+    chrome.runtime.sendMessage({ action: 'resetLifetimeStats' });
+  });
+
+  // Keep the page live while searches are running in other tabs
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.lifetimeStats) {
+      lifetimeStats = changes.lifetimeStats.newValue || null;
+      render();
+    }
+  });
+
+  loadStats();
+}
+
+// Run on DOM ready
+document.addEventListener('DOMContentLoaded', init);